@@ -71,10 +71,20 @@ const whitespace = (code = 0) =>
 
 // Preprocessing the input stream
 // https://drafts.csswg.org/css-syntax/#input-preprocessing
+// Code points are read one at a time, so only as much of the input as gets
+// tokenized is preprocessed. The offset of the reader is where the next
+// code point starts in the original string, counted in code units.
 const preprocess = (str = '') => {
-  const codepoints = []
+  const reader = {offset: 0}
+
+  // Returns the next code point, or -1 at the end of the input
+  reader.read = () => {
+    let i = reader.offset
+
+    if (str.length <= i) {
+      return -1
+    }
 
-  for (let i = 0; i < str.length; i++) {
     let code = str.charCodeAt(i)
 
     if (
@@ -108,10 +118,36 @@ const preprocess = (str = '') => {
       i++
     }
 
-    codepoints.push(code)
+    reader.offset = i + 1
+
+    return code
   }
 
-  return codepoints
+  return reader
+}
+
+// Parse errors are reported as diagnostics to the onError callback
+// from the options object, if there is one, and returned
+const reportError = (options = {}, code = '', message = '', range = {}) => {
+  const diagnostic = {code, message, range, severity: 'error'}
+
+  if (typeof options.onError === 'function') {
+    options.onError(diagnostic)
+  }
+
+  return diagnostic
+}
+
+// Thrown when the input goes over one of the limits from the options:
+// maxInputLength (in code units) and maxTokens
+export class TokenizerError extends Error {
+  constructor(code = '', message = '', position = {}) {
+    super(message)
+
+    this.name = 'TokenizerError'
+    this.code = code
+    this.position = position
+  }
 }
 
 // Tokenization
@@ -121,7 +157,7 @@ const stringFromCode = (code = 0) => {
   }
 
   // Otherwise, encode astral char as surrogate pair
-  code -= Math.pow(2, 20)
+  code -= Math.pow(2, 16)
 
   const lead = Math.floor(code / Math.pow(2, 10)) + 0xd800
   const trail = code % Math.pow(2, 10) + 0xdc00
@@ -130,17 +166,40 @@ const stringFromCode = (code = 0) => {
 }
 
 // https://drafts.csswg.org/css-syntax/#tokenization
-export const tokenize = (str = '') => {
-  str = preprocess(str)
+export const tokenize = (str = '', options = {}) => {
+  const tokens = []
+
+  for (const token of tokenizeIterator(str, options)) {
+    tokens.push(token)
+  }
+
+  return tokens
+}
+
+// Tokens are produced one at a time, as they are asked for
+export const tokenizeIterator = function* (str = '', options = {}) {
+  const reader = preprocess(str)
+
+  // The lossless mode keeps comments as well as the source of every token
+  const comments = options.comments || options.lossless
 
   let i = -1
-  const tokens = []
   const maximumallowedcodepoint = 0x10ffff
   let code
 
+  // The code points read so far, from index base onwards, with the offset
+  // each one starts at in the original string, plus the offset after them
+  let base = 0
+  const codepoints = []
+  const offsets = [0]
+  let length = Infinity
+
+  // Where str starts, when it is a part of some larger input
+  const origin = {line: 1, column: 1, offset: 0, ...options.start}
+
   // Line number information
-  let line = 0
-  let column = 0
+  let line = origin.line - 1
+  let column = origin.column - 1
 
   // The only use of lastLineLength is in reconsume()
   let lastLineLength = 0
@@ -151,14 +210,59 @@ export const tokenize = (str = '') => {
     column = 0
   }
 
-  const locStart = {line, column}
-
   const codepoint = i => {
-    if (str.length <= i) {
+    while (
+      base + codepoints.length <= i
+      && length === Infinity
+    ) {
+      const code = reader.read()
+
+      if (code === -1) {
+        length = base + codepoints.length
+      }
+
+      else {
+        codepoints.push(code)
+        offsets.push(reader.offset)
+      }
+    }
+
+    if (length <= i) {
       return -1
     }
 
-    return str[i]
+    return codepoints[i - base]
+  }
+
+  // Let go of the code points before the current one
+  const release = () => {
+    if (1024 < i - base) {
+      codepoints.splice(0, i - base)
+      offsets.splice(0, i - base)
+      base = i
+    }
+  }
+
+  // Location of the code point after the current one: line and column
+  // count from 1, offset is in code units of the original string
+  const position = () => {
+    codepoint(i + 1)
+
+    return {
+      line: line + 1,
+      column: column + 1,
+      offset: origin.offset + offsets[Math.min(i + 1 - base, codepoints.length)]
+    }
+  }
+
+  let locStart = position()
+
+  if (origin.offset + str.length > options.maxInputLength) {
+    throw new TokenizerError(
+      'max-input-length',
+      `The input is ${origin.offset + str.length} code units long, more than the maximum of ${options.maxInputLength}.`,
+      locStart
+    )
   }
 
   const next = num => {
@@ -183,7 +287,7 @@ export const tokenize = (str = '') => {
 
     if (newline(code)) {
       incrLineno()
-    } else {
+    } else if (!eof()) {
       column += num
     }
 
@@ -196,12 +300,10 @@ export const tokenize = (str = '') => {
     if (newline(code)) {
       line -= 1
       column = lastLineLength
-    } else {
+    } else if (!eof()) {
       column -= 1
     }
 
-    locStart.line = line
-    locStart.column = column
     return true
   }
 
@@ -213,14 +315,20 @@ export const tokenize = (str = '') => {
     return codepoint === -1
   }
 
-  const parseerror = () => {
-    console.log(`Parse error at index ${i}, processing codepoint 0x${code.toString(16)}.`)
-    return true
-  }
+  const parseerror = (code = '', message = '') =>
+    reportError(options, code, message, {start: locStart, end: position()})
 
   // https://drafts.csswg.org/css-syntax/#consume-token
   const consumeAToken = () => {
+    if (
+      comments
+      && startsAComment()
+    ) {
+      return consumeAComment()
+    }
+
     consumeComments()
+    locStart = position()
     consume()
 
     if (whitespace(code)) {
@@ -381,7 +489,7 @@ export const tokenize = (str = '') => {
       }
 
       else {
-        parseerror()
+        parseerror('invalid-escape', 'Invalid escape: a backslash cannot be followed by a newline.')
         return new DelimToken(code)
       }
     }
@@ -455,28 +563,41 @@ export const tokenize = (str = '') => {
     }
   }
 
+  const startsAComment = () =>
+    next(1) === char('/')
+    && next(2) === char('*')
+
   // https://drafts.csswg.org/css-syntax/#consume-comment
   const consumeComments = () => {
-    while (
-      next(1) === char('/')
-      && next(2) === char('*')
-    ) {
-      consume(2)
+    while (startsAComment()) {
+      consumeAComment()
+    }
+  }
+
+  const consumeAComment = () => {
+    locStart = position()
+    consume(2)
+
+    let str = ''
+
+    while (true) {
+      consume()
 
-      while (true) {
+      if (
+        code === char('*')
+        && next() === char('/')
+      ) {
         consume()
-        if (
-          code === char('*')
-          && next() === char('/')
-        ) {
-          consume()
-          break
-        }
+        return new CommentToken(str)
+      }
 
-        else if (eof()) {
-          parseerror()
-          return
-        }
+      else if (eof()) {
+        parseerror('eof-in-comment', 'Unexpected end of input in a comment.')
+        return new CommentToken(str)
+      }
+
+      else {
+        str += stringFromCode(code)
       }
     }
   }
@@ -572,15 +693,17 @@ export const tokenize = (str = '') => {
     let str = ''
 
     while (consume()) {
-      if (
-        code === endingCodePoint
-        || eof()
-      ) {
+      if (code === endingCodePoint) {
+        return new StringToken(str)
+      }
+
+      else if (eof()) {
+        parseerror('eof-in-string', 'Unexpected end of input in a string.')
         return new StringToken(str)
       }
 
       else if (newline(code)) {
-        parseerror()
+        parseerror('bad-string', 'Unexpected newline in a string.')
         reconsume()
         return new BadStringToken()
       }
@@ -614,14 +737,17 @@ export const tokenize = (str = '') => {
     }
 
     if (eof(next())) {
+      parseerror('eof-in-url', 'Unexpected end of input in a URL.')
       return token
     }
 
     while (consume()) {
-      if (
-        code === char(')')
-        || eof()
-      ) {
+      if (code === char(')')) {
+        return token
+      }
+
+      else if (eof()) {
+        parseerror('eof-in-url', 'Unexpected end of input in a URL.')
         return token
       }
 
@@ -630,16 +756,20 @@ export const tokenize = (str = '') => {
           consume()
         }
 
-        if (
-          next() === char(')')
-          || eof(next())
-        ) {
+        if (next() === char(')')) {
+          consume()
+          return token
+        }
+
+        else if (eof(next())) {
           consume()
+          parseerror('eof-in-url', 'Unexpected end of input in a URL.')
           return token
         }
 
         else {
           consumeTheRemnantsOfABadURL()
+          parseerror('bad-url', 'Unexpected whitespace in a URL.')
           return new BadURLToken()
         }
       }
@@ -650,8 +780,8 @@ export const tokenize = (str = '') => {
         || code === char('(')
         || nonprintable(code)
       ) {
-        parseerror()
         consumeTheRemnantsOfABadURL()
+        parseerror('bad-url', 'Invalid character in a URL.')
         return new BadURLToken()
       }
 
@@ -661,8 +791,8 @@ export const tokenize = (str = '') => {
         }
 
         else {
-          parseerror()
           consumeTheRemnantsOfABadURL()
+          parseerror('bad-url', 'Invalid escape in a URL.')
           return new BadURLToken()
         }
       }
@@ -711,6 +841,7 @@ export const tokenize = (str = '') => {
     }
 
     else if (eof()) {
+      parseerror('invalid-escape', 'Unexpected end of input in an escape.')
       return 0xfffd
     }
 
@@ -932,33 +1063,79 @@ export const tokenize = (str = '') => {
     }
   }
 
-  let iterationCount = 0
+  let tokenCount = 0
 
   while (!eof(next())) {
-    tokens.push(consumeAToken())
-    iterationCount++
+    release()
 
-    if (str.length * 2 < iterationCount) {
-      return 'I’m infinite-looping!'
+    if (options.maxTokens <= tokenCount) {
+      throw new TokenizerError(
+        'max-tokens',
+        `The input has more than the maximum of ${options.maxTokens} tokens.`,
+        position()
+      )
     }
-  }
 
-  return tokens
+    // Every token uses up at least one code point, so this always ends
+    const token = consumeAToken()
+
+    tokenCount++
+
+    token.start = locStart
+    token.end = position()
+
+    if (options.lossless) {
+      token.raw = str.slice(
+        token.start.offset - origin.offset,
+        token.end.offset - origin.offset
+      )
+      token.rawContent = tokenContent(token)
+    }
+
+    yield token
+  }
 }
 
 // Token objects
-class CSSParserToken {
+export class CSSParserToken {
   constructor() {
     if (this.constructor === CSSParserToken) {
       throw new Error(`Can't instantiate abstract class`)
     }
   }
-  toJSON() { return {token: this.tokenType} }
+  toJSON() {
+    return {
+      token: this.tokenType,
+      start: this.start,
+      end: this.end,
+      raw: this.raw,
+      rawContent: this.rawContent
+    }
+  }
   toString() { return this.tokenType }
-  toSource() { return '' + this }
+  toSource() {
+    // Tokens from the lossless mode reproduce the text they were made from,
+    // until their content is changed
+    if (
+      this.raw !== undefined
+      && this.rawContent === tokenContent(this)
+    ) {
+      return this.raw
+    }
+
+    return this.serialize()
+  }
+  serialize() { return '' + this }
+  clone() { return Object.assign(Object.create(Object.getPrototypeOf(this)), this) }
+  ancestors() { return ancestorsOf(this) }
+  closest(type = '') { return closestOf(this, type) }
+  path() { return pathOf(this) }
 }
 
-class StringValuedToken extends CSSParserToken {
+const tokenContent = token =>
+  JSON.stringify([token.value, token.type, token.repr, token.unit])
+
+export class StringValuedToken extends CSSParserToken {
   constructor() {
     super()
 
@@ -975,7 +1152,7 @@ class StringValuedToken extends CSSParserToken {
   }
 }
 
-class GroupingToken extends CSSParserToken {
+export class GroupingToken extends CSSParserToken {
   constructor() {
     super()
 
@@ -986,7 +1163,7 @@ class GroupingToken extends CSSParserToken {
 }
 
 // https://drafts.csswg.org/css-syntax/#typedef-ident-token
-class IdentToken extends StringValuedToken {
+export class IdentToken extends StringValuedToken {
   constructor(value) {
     super()
 
@@ -994,11 +1171,11 @@ class IdentToken extends StringValuedToken {
     this.value = value
   }
   toString() { return `IDENT(${this.value})` }
-  toSource() { return escapeIdent(this.value) }
+  serialize() { return escapeIdent(this.value) }
 }
 
 // https://drafts.csswg.org/css-syntax/#typedef-function-token
-class FunctionToken extends StringValuedToken {
+export class FunctionToken extends StringValuedToken {
   constructor(value) {
     super()
 
@@ -1007,11 +1184,11 @@ class FunctionToken extends StringValuedToken {
     this.value = value
   }
   toString() { return `FUNCTION(${this.value})` }
-  toSource() { return escapeIdent(this.value) + '(' }
+  serialize() { return escapeIdent(this.value) + '(' }
 }
 
 // https://drafts.csswg.org/css-syntax/#typedef-at-keyword-token
-class AtKeywordToken extends StringValuedToken {
+export class AtKeywordToken extends StringValuedToken {
   constructor(value) {
     super()
 
@@ -1019,11 +1196,11 @@ class AtKeywordToken extends StringValuedToken {
     this.value = value
   }
   toString() { return `AT(${this.value})` }
-  toSource() { return '@' + escapeIdent(this.value) }
+  serialize() { return '@' + escapeIdent(this.value) }
 }
 
 // https://drafts.csswg.org/css-syntax/#typedef-hash-token
-class HashToken extends StringValuedToken {
+export class HashToken extends StringValuedToken {
   constructor(value) {
     super()
 
@@ -1032,7 +1209,7 @@ class HashToken extends StringValuedToken {
     this.value = value
   }
   toString() { return `HASH(${this.value})` }
-  toSource() {
+  serialize() {
     if (this.type === 'id') {
       return '#' + escapeIdent(this.value)
     }
@@ -1051,7 +1228,7 @@ class HashToken extends StringValuedToken {
 }
 
 // https://drafts.csswg.org/css-syntax/#typedef-string-token
-class StringToken extends StringValuedToken {
+export class StringToken extends StringValuedToken {
   constructor(value) {
     super()
 
@@ -1059,11 +1236,11 @@ class StringToken extends StringValuedToken {
     this.value = value
   }
   toString() { return `"${escapeString(this.value)}"` }
-  toSource() { return `"${escapeString(this.value)}"` }
+  serialize() { return `"${escapeString(this.value)}"` }
 }
 
 // https://drafts.csswg.org/css-syntax/#typedef-bad-string-token
-class BadStringToken extends CSSParserToken {
+export class BadStringToken extends CSSParserToken {
   constructor() {
     super()
 
@@ -1072,7 +1249,7 @@ class BadStringToken extends CSSParserToken {
 }
 
 // https://drafts.csswg.org/css-syntax/#typedef-url-token
-class URLToken extends StringValuedToken {
+export class URLToken extends StringValuedToken {
   constructor(value) {
     super()
 
@@ -1080,11 +1257,11 @@ class URLToken extends StringValuedToken {
     this.value = value
   }
   toString() { return `URL(${this.value})` }
-  toSource() { return `url("${escapeString(this.value)}")` }
+  serialize() { return `url("${escapeString(this.value)}")` }
 }
 
 // https://drafts.csswg.org/css-syntax/#typedef-bad-url-token
-class BadURLToken extends CSSParserToken {
+export class BadURLToken extends CSSParserToken {
   constructor() {
     super()
 
@@ -1093,7 +1270,7 @@ class BadURLToken extends CSSParserToken {
 }
 
 // https://drafts.csswg.org/css-syntax/#typedef-delim-token
-class DelimToken extends CSSParserToken {
+export class DelimToken extends CSSParserToken {
   constructor(value) {
     super()
 
@@ -1101,7 +1278,7 @@ class DelimToken extends CSSParserToken {
     this.value = stringFromCode(value)
   }
   toString() { return `DELIM(${this.value})` }
-  toSource() {
+  serialize() {
     if (this.value === '\\') {
       return '\\\n'
     }
@@ -1119,7 +1296,7 @@ class DelimToken extends CSSParserToken {
 }
 
 // https://drafts.csswg.org/css-syntax/#typedef-number-token
-class NumberToken extends CSSParserToken {
+export class NumberToken extends CSSParserToken {
   constructor() {
     super()
 
@@ -1135,7 +1312,7 @@ class NumberToken extends CSSParserToken {
 
     return `NUMBER(${this.value})`
   }
-  toSource() { return this.repr }
+  serialize() { return this.repr }
   toJSON() {
     return {
       ...super.toJSON(),
@@ -1147,7 +1324,7 @@ class NumberToken extends CSSParserToken {
 }
 
 // https://drafts.csswg.org/css-syntax/#typedef-percentage-token
-class PercentageToken extends CSSParserToken {
+export class PercentageToken extends CSSParserToken {
   constructor() {
     super()
 
@@ -1156,7 +1333,7 @@ class PercentageToken extends CSSParserToken {
     this.repr = ''
   }
   toString() { return `PERCENTAGE(${this.value})` }
-  toSource() { return this.repr + '%' }
+  serialize() { return this.repr + '%' }
   toJSON() {
     return {
       ...super.toJSON(),
@@ -1167,7 +1344,7 @@ class PercentageToken extends CSSParserToken {
 }
 
 // https://drafts.csswg.org/css-syntax/#typedef-dimension-token
-class DimensionToken extends CSSParserToken {
+export class DimensionToken extends CSSParserToken {
   constructor() {
     super()
 
@@ -1177,25 +1354,8 @@ class DimensionToken extends CSSParserToken {
     this.repr = ''
     this.unit = ''
   }
-  toString() {
-    const source = this.repr
-    let unit = escapeIdent(this.unit)
-
-    if (
-      unit[0].toLowerCase() === 'e'
-      && (
-        unit[1] === '-'
-        || digit(unit.charCodeAt(1))
-      )
-    ) {
-      // Unit is ambiguous with scientific notation
-      // Remove the leading "e", replace with escape
-      unit = '\\65 ' + unit.slice(1, unit.length)
-    }
-
-    return source + unit
-  }
-  toSource() { return `${String(this.value).replace(/^0+\./, '.')}${this.unit}` }
+  toString() { return this.repr + escapeUnit(this.unit) }
+  serialize() { return `${String(this.value).replace(/^0+\./, '.')}${escapeUnit(this.unit)}` }
   toJSON() {
     return {
       ...super.toJSON(),
@@ -1208,39 +1368,57 @@ class DimensionToken extends CSSParserToken {
 }
 
 // https://drafts.csswg.org/css-syntax/#typedef-whitespace-token
-class WhitespaceToken extends CSSParserToken {
+export class WhitespaceToken extends CSSParserToken {
   constructor() {
     super()
 
     this.tokenType = 'WHITESPACE'
   }
   toString() { return 'WS' }
-  toSource() { return ' ' }
+  serialize() { return ' ' }
+}
+
+// Only produced when tokenizing with the comments option
+export class CommentToken extends CSSParserToken {
+  constructor(value) {
+    super()
+
+    this.tokenType = 'COMMENT'
+    this.value = value
+  }
+  toString() { return `COMMENT(${this.value})` }
+  serialize() { return `/*${this.value}*/` }
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      value: this.value
+    }
+  }
 }
 
 // https://drafts.csswg.org/css-syntax/#typedef-cdo-token
-class CDOToken extends CSSParserToken {
+export class CDOToken extends CSSParserToken {
   constructor() {
     super()
 
     this.tokenType = 'CDO'
   }
-  toSource() { return '<!--' }
+  serialize() { return '<!--' }
 }
 
 // https://drafts.csswg.org/css-syntax/#typedef-cdc-token
-class CDCToken extends CSSParserToken {
+export class CDCToken extends CSSParserToken {
   constructor() {
     super()
 
     this.tokenType = 'CDC'
   }
 
-  toSource() { return '-->' }
+  serialize() { return '-->' }
 }
 
 // https://drafts.csswg.org/css-syntax/#typedef-colon-token
-class ColonToken extends CSSParserToken {
+export class ColonToken extends CSSParserToken {
   constructor() {
     super()
 
@@ -1249,7 +1427,7 @@ class ColonToken extends CSSParserToken {
 }
 
 // https://drafts.csswg.org/css-syntax/#typedef-semicolon-token
-class SemicolonToken extends CSSParserToken {
+export class SemicolonToken extends CSSParserToken {
   constructor() {
     super()
 
@@ -1258,7 +1436,7 @@ class SemicolonToken extends CSSParserToken {
 }
 
 // https://drafts.csswg.org/css-syntax/#typedef-comma-token
-class CommaToken extends CSSParserToken {
+export class CommaToken extends CSSParserToken {
   constructor() {
     super()
 
@@ -1267,7 +1445,7 @@ class CommaToken extends CSSParserToken {
 }
 
 // https://drafts.csswg.org/css-syntax/#tokendef-open-square
-class OpenSquareToken extends GroupingToken {
+export class OpenSquareToken extends GroupingToken {
   constructor() {
     super()
 
@@ -1278,7 +1456,7 @@ class OpenSquareToken extends GroupingToken {
 }
 
 // https://drafts.csswg.org/css-syntax/#tokendef-close-square
-class CloseSquareToken extends GroupingToken {
+export class CloseSquareToken extends GroupingToken {
   constructor() {
     super()
 
@@ -1289,7 +1467,7 @@ class CloseSquareToken extends GroupingToken {
 }
 
 // https://drafts.csswg.org/css-syntax/#tokendef-open-paren
-class OpenParenToken extends GroupingToken {
+export class OpenParenToken extends GroupingToken {
   constructor() {
     super()
 
@@ -1300,7 +1478,7 @@ class OpenParenToken extends GroupingToken {
 }
 
 // https://drafts.csswg.org/css-syntax/#tokendef-close-paren
-class CloseParenToken extends GroupingToken {
+export class CloseParenToken extends GroupingToken {
   constructor() {
     super()
 
@@ -1311,7 +1489,7 @@ class CloseParenToken extends GroupingToken {
 }
 
 // https://drafts.csswg.org/css-syntax/#tokendef-open-curly
-class OpenCurlyToken extends GroupingToken {
+export class OpenCurlyToken extends GroupingToken {
   constructor() {
     super()
 
@@ -1322,7 +1500,7 @@ class OpenCurlyToken extends GroupingToken {
 }
 
 // https://drafts.csswg.org/css-syntax/#tokendef-close-curly
-class CloseCurlyToken extends GroupingToken {
+export class CloseCurlyToken extends GroupingToken {
   constructor() {
     super()
 
@@ -1333,7 +1511,7 @@ class CloseCurlyToken extends GroupingToken {
 }
 
 // https://drafts.csswg.org/selectors-4/#attribute-representation
-class IncludeMatchToken extends CSSParserToken {
+export class IncludeMatchToken extends CSSParserToken {
   constructor() {
     super()
 
@@ -1341,7 +1519,7 @@ class IncludeMatchToken extends CSSParserToken {
   }
 }
 
-class DashMatchToken extends CSSParserToken {
+export class DashMatchToken extends CSSParserToken {
   constructor() {
     super()
 
@@ -1350,7 +1528,7 @@ class DashMatchToken extends CSSParserToken {
 }
 
 // https://drafts.csswg.org/selectors-4/#attribute-substrings
-class PrefixMatchToken extends CSSParserToken {
+export class PrefixMatchToken extends CSSParserToken {
   constructor() {
     super()
 
@@ -1358,7 +1536,7 @@ class PrefixMatchToken extends CSSParserToken {
   }
 }
 
-class SuffixMatchToken extends CSSParserToken {
+export class SuffixMatchToken extends CSSParserToken {
   constructor() {
     super()
 
@@ -1366,7 +1544,7 @@ class SuffixMatchToken extends CSSParserToken {
   }
 }
 
-class SubstringMatchToken extends CSSParserToken {
+export class SubstringMatchToken extends CSSParserToken {
   constructor() {
     super()
 
@@ -1375,7 +1553,7 @@ class SubstringMatchToken extends CSSParserToken {
 }
 
 // https://drafts.csswg.org/selectors-4/#the-column-combinator
-class ColumnToken extends CSSParserToken {
+export class ColumnToken extends CSSParserToken {
   constructor() {
     super()
 
@@ -1384,19 +1562,20 @@ class ColumnToken extends CSSParserToken {
 }
 
 // https://drafts.csswg.org/css-syntax/#typedef-eof-token
-class EOFToken extends CSSParserToken {
+export class EOFToken extends CSSParserToken {
   constructor() {
     super()
 
     this.tokenType = 'EOF'
   }
-  toSource() { return '' }
+  serialize() { return '' }
 }
 
 // Escaping functions
-class InvalidCharacterError extends Error {
+export class InvalidCharacterError extends Error {
   constructor(value) {
-    this.message = value
+    super(value)
+
     this.name = 'InvalidCharacterError'
   }
 }
@@ -1448,6 +1627,24 @@ const escapeIdent = (str = '') => {
   return result
 }
 
+// A unit is escaped like an ident, and so is an e that would otherwise be
+// read as the exponent of the number before it
+const escapeUnit = (str = '') => {
+  const unit = escapeIdent(str)
+
+  if (
+    /^e/i.test(unit)
+    && (
+      unit[1] === '-'
+      || digit(unit.charCodeAt(1))
+    )
+  ) {
+    return `\\${unit.charCodeAt(0).toString(16)} ${unit.slice(1)}`
+  }
+
+  return unit
+}
+
 const escapeHash = (str = '') => {
   // Escapes the contents of "unrestricted"-type hash tokens
   // Won't preserve the ID-ness of "id"-type hash tokens;
@@ -1517,16 +1714,57 @@ const escapeString = (str = '') => {
 
 // Token stream
 class TokenStream {
-  constructor(value = []) {
-    this.tokens = value
+  constructor(value = [], options = {}) {
+    // Tokens come from an array, or are pulled from an iterator as needed
+    if (value.length === undefined) {
+      this.iterator = value[Symbol.iterator]()
+      this.tokens = []
+    }
+
+    else {
+      this.tokens = value
+    }
+
+    this.options = options
+    this.trivia = []
+    this.base = 0
     this.i = -1
+
+    // How many blocks and functions are being consumed inside each other
+    this.depth = 0
+    this.maxDepth = options.maxDepth === undefined ? 256 : options.maxDepth
   }
   tokenAt(i) {
-    if (i < this.tokens.length) {
-      return this.tokens[i]
+    while (
+      this.iterator
+      && this.base + this.tokens.length <= i
+    ) {
+      const {value, done} = this.iterator.next()
+
+      if (done) {
+        this.iterator = null
+      }
+
+      else {
+        this.tokens.push(value)
+        this.last = value
+      }
+    }
+
+    if (i < this.base + this.tokens.length) {
+      return this.tokens[i - this.base]
+    }
+
+    // The end of the stream sits right after the last token
+    const token = new EOFToken()
+    const last = this.last || this.tokens[this.tokens.length - 1]
+
+    if (last && last.end) {
+      token.start = last.end
+      token.end = last.end
     }
 
-    return new EOFToken()
+    return token
   }
   consume(num) {
     if (num === undefined) {
@@ -1535,30 +1773,136 @@ class TokenStream {
 
     this.i += num
     this.token = this.tokenAt(this.i)
+    this.release()
 
     return true
   }
   next() { return this.tokenAt(this.i + 1) }
   reconsume() { this.i-- }
+  // The tokens consumed after position i
+  since(i) {
+    return this.tokens.slice(
+      Math.max(i + 1 - this.base, 0),
+      this.i + 1 - this.base
+    )
+  }
+  // Tokens pulled from an iterator are let go once the stream is past them,
+  // except in the lossless mode, which may need to go back to them
+  release() {
+    if (
+      this.iterator !== undefined
+      && !this.options.lossless
+      && 1024 < this.i - this.base
+    ) {
+      this.tokens.splice(0, this.i - 1 - this.base)
+      this.base = this.i - 1
+    }
+  }
 }
 
-const parseerror = (s, msg) => {
-  console.log(`Parse error at token ${s.i}: ${s.token}.\n${msg}`)
-  return true
+const parseerror = (s, code = '', msg = '', token = s.token) =>
+  reportError(s.options, code, msg, {start: token.start, end: token.end})
+
+// Give a parser node the source range from the start of its first token
+// to the end of its last one, when those tokens know where they came from
+const setRange = (node, first, last) => {
+  if (first && first.start) {
+    node.start = first.start
+  }
+
+  if (last && last.end) {
+    node.end = last.end
+  }
+
+  return node
+}
+
+// Comments between rules or declarations are kept as trivia: a comment
+// starting on the line where the previous item ended trails that item,
+// any other comment waits to lead the next item. The lossless mode also
+// keeps everything else the parser skips over between items.
+const keepTrivia = (str, items, trivia, ...tokens) => {
+  for (const token of tokens) {
+    const last = items[items.length - 1]
+
+    if (!(token instanceof CommentToken)) {
+      if (str.options.lossless) {
+        trivia.push(token)
+      }
+    }
+
+    else if (
+      last
+      && last.end
+      && token.start
+      && token.start.line === last.end.line
+    ) {
+      last.trailing.push(...trivia.splice(0), token)
+    }
+
+    else {
+      trivia.push(token)
+    }
+  }
+}
+
+const addItem = (items, trivia, item) => {
+  item.leading.push(...trivia.splice(0))
+  items.push(item)
+}
+
+// Trivia left at the end of a list trails its last item,
+// or stays on the stream for the caller when the list is empty
+const endTrivia = (str, items, trivia) => {
+  if (items.length) {
+    items[items.length - 1].trailing.push(...trivia)
+  }
+
+  else {
+    str.trivia.push(...trivia)
+  }
+
+  return items
+}
+
+// Consume whitespace and comments, returning the ones that are kept:
+// comments, and in the lossless mode whitespace as well
+const consumeTrivia = str => {
+  const trivia = []
+
+  while (
+    str.next() instanceof WhitespaceToken
+    || str.next() instanceof CommentToken
+  ) {
+    str.consume()
+
+    if (
+      str.token instanceof CommentToken
+      || str.options.lossless
+    ) {
+      trivia.push(str.token)
+    }
+  }
+
+  return trivia
 }
 
 // https://drafts.csswg.org/css-syntax/#consume-list-of-rules
 const consumeAListOfRules = (str, topLevel) => {
   let rules = []
+  const trivia = []
   let rule
 
   while (str.consume()) {
-    if (str.token instanceof WhitespaceToken) {
-      continue
+    if (
+      str.token instanceof WhitespaceToken
+      || str.token instanceof CommentToken
+    ) {
+      keepTrivia(str, rules, trivia, str.token)
     }
 
     else if (str.token instanceof EOFToken) {
-      return rules
+      return endTrivia(str, rules, trivia)
     }
 
     else if (
@@ -1566,59 +1910,109 @@ const consumeAListOfRules = (str, topLevel) => {
       || str.token instanceof CDCToken
     ) {
       if (topLevel === 'top-level') {
+        keepTrivia(str, rules, trivia, str.token)
         continue
       }
 
       str.reconsume()
+      const from = str.i
 
       if (rule = consumeAQualifiedRule(str)) {
-        rules.push(rule)
+        addItem(rules, trivia, rule)
+      }
+
+      else {
+        keepTrivia(str, rules, trivia, ...str.since(from))
       }
     }
 
     else if (str.token instanceof AtKeywordToken) {
       str.reconsume()
 
-      if (rule = consumeAnAtRule(str)) {
-        rules.push(rule)
+      if (rule = consumeAnAtRule(str, consumeAListOfRules)) {
+        addItem(rules, trivia, rule)
       }
     }
 
+    // Rules parsed already, like those in the block of a group rule
+    else if (
+      str.token instanceof AtRule
+      || str.token instanceof QualifiedRule
+    ) {
+      addItem(rules, trivia, str.token)
+    }
+
     else {
       str.reconsume()
+      const from = str.i
 
       if (rule = consumeAQualifiedRule(str)) {
-        rules.push(rule)
+        addItem(rules, trivia, rule)
+      }
+
+      else {
+        keepTrivia(str, rules, trivia, ...str.since(from))
       }
     }
   }
 }
 
+const asciiLowercase = (str = '') =>
+  str.replace(/[A-Z]/g, letter => letter.toLowerCase())
+
+// The at-rules whose blocks hold rules, like the stylesheet they are in,
+// or declarations and nested rules, like the style rule they are nested in
+// https://drafts.csswg.org/css-nesting/#nested-group-rules
+const nestedGroupRules = [
+  'media',
+  'supports',
+  'container',
+  'layer',
+  'scope',
+  'starting-style'
+]
+
 // https://drafts.csswg.org/css-syntax/#consume-at-rule
-const consumeAnAtRule = (str = '') => {
+// The block of a group rule is parsed with the function given for what is
+// around it, and those of other at-rules are left as component values
+const consumeAnAtRule = (str = '', consumeContents) => {
   str.consume()
-  const rule = new AtRule(str.token.value)
+  const keyword = str.token
+  const rule = new AtRule(keyword.value)
+  const contents = consumeContents && nestedGroupRules.includes(asciiLowercase(rule.name))
+    ? block => consumeTheContentsOfABlock(str, block, consumeContents)
+    : block => block
+
+  if (str.options.lossless) {
+    rule.raws = {name: keyword, end: null}
+  }
 
   while (str.consume()) {
-    if (
-      str.token instanceof SemicolonToken
-      || str.token instanceof EOFToken
-    ) {
-      return rule
+    if (str.token instanceof SemicolonToken) {
+      if (rule.raws) {
+        rule.raws.end = str.token
+      }
+
+      return setRange(rule, keyword, str.token)
+    }
+
+    else if (str.token instanceof EOFToken) {
+      parseerror(str, 'eof-in-at-rule', `Unexpected end of input in the @${rule.name} rule.`)
+      return setRange(rule, keyword, rule.prelude[rule.prelude.length - 1] || keyword)
     }
 
     else if (str.token instanceof OpenCurlyToken) {
-      rule.value = consumeASimpleBlock(str)
-      return rule
+      rule.value = contents(consumeASimpleBlock(str))
+      return setRange(rule, keyword, rule.value)
     }
 
     else if (
       str.token instanceof SimpleBlock
       && str.token.name === '{'
     ) {
-      rule.value = str.token
+      rule.value = contents(str.token)
 
-      return rule
+      return setRange(rule, keyword, rule.value)
     }
 
     else {
@@ -1629,25 +2023,40 @@ const consumeAnAtRule = (str = '') => {
 }
 
 // https://drafts.csswg.org/css-syntax/#consume-qualified-rule
-const consumeAQualifiedRule = (str = '') => {
+const consumeAQualifiedRule = (str = '', nested = false) => {
   const rule = new QualifiedRule()
+
+  if (str.options.lossless) {
+    rule.raws = {}
+  }
   while (str.consume()) {
-    if (str.token instanceof EOFToken) {
-      //parseerror(str, 'Hit EOF when trying to parse the prelude of a qualified rule.')
+    if (
+      nested
+      && (
+        str.token instanceof SemicolonToken
+        || str.token instanceof EOFToken
+      )
+    ) {
+      parseerror(str, 'invalid-declaration', 'Expected a declaration or a nested rule.', rule.prelude[0] || str.token)
+      return
+    }
+
+    else if (str.token instanceof EOFToken) {
+      parseerror(str, 'eof-in-rule', 'Unexpected end of input in the prelude of a qualified rule.')
       return
     }
 
     else if (str.token instanceof OpenCurlyToken) {
-      rule.value = consumeASimpleBlock(str)
-      return rule
+      rule.value = consumeTheContentsOfABlock(str, consumeASimpleBlock(str))
+      return setRange(rule, rule.prelude[0] || rule.value, rule.value)
     }
 
     else if (
       str.token instanceof SimpleBlock
       && str.token.name === '{'
     ) {
-      rule.value = str.token
-      return rule
+      rule.value = consumeTheContentsOfABlock(str, str.token)
+      return setRange(rule, rule.prelude[0] || rule.value, rule.value)
     }
 
     else {
@@ -1657,25 +2066,172 @@ const consumeAQualifiedRule = (str = '') => {
   }
 }
 
-// https://drafts.csswg.org/css-syntax/#consume-list-of-declarations
-const consumeAListOfDeclarations = (str = '') => {
-  let decls = []
+// The {}-block of a qualified rule, or of a group rule nested in one, is
+// parsed from its component values into declarations and nested rules (and
+// that of a group rule elsewhere into rules), unless it was nested too deeply to be
+// consumed as anything other than a flat list of tokens. The trivia of a
+// block without any, which has nothing to trail, is kept in its raws
+const consumeTheContentsOfABlock = (str = '', block, consumeContents = consumeABlocksContents) => {
+  if (str.maxDepth <= str.depth) {
+    return block
+  }
 
-  while (str.consume()) {
-    if (
-      str.token instanceof WhitespaceToken
+  const contents = new TokenStream(block.value, str.options)
+  contents.depth = str.depth + 1
+
+  const parsed = Object.assign(new SimpleBlock(block.name), block, {
+    value: consumeContents(contents)
+  })
+
+  if (contents.trivia.length) {
+    parsed.raws = {...block.raws, trivia: contents.trivia}
+  }
+
+  return parsed
+}
+
+// https://drafts.csswg.org/css-syntax/#consume-block-contents
+const consumeABlocksContents = (str = '') => {
+  const items = []
+  const trivia = []
+  let item
+
+  while (str.consume()) {
+    if (
+      str.token instanceof WhitespaceToken
+      || str.token instanceof SemicolonToken
+      || str.token instanceof CommentToken
+    ) {
+      keepTrivia(str, items, trivia, str.token)
+    }
+
+    else if (str.token instanceof EOFToken) {
+      return endTrivia(str, items, trivia)
+    }
+
+    else if (str.token instanceof AtKeywordToken) {
+      str.reconsume()
+      addItem(items, trivia, consumeAnAtRule(str, consumeABlocksContents))
+    }
+
+    else if (
+      str.token instanceof Declaration
+      || str.token instanceof AtRule
+      || str.token instanceof QualifiedRule
+    ) {
+      addItem(items, trivia, str.token)
+    }
+
+    else {
+      str.reconsume()
+      const from = str.i
+
+      if (item = consumeANestedDeclaration(str)) {
+        addItem(items, trivia, item)
+      }
+
+      else {
+        str.i = from
+
+        if (item = consumeAQualifiedRule(str, true)) {
+          addItem(items, trivia, item)
+        }
+
+        else {
+          keepTrivia(str, items, trivia, ...str.since(from))
+        }
+      }
+    }
+  }
+}
+
+// In a block's contents, anything that starts with an ident and a colon is
+// a declaration, unless its value has a {}-block alongside other values:
+// then it is a nested rule with a selector like a:hover instead
+const consumeANestedDeclaration = (str = '') => {
+  if (!(str.next() instanceof IdentToken)) {
+    return
+  }
+
+  const temp = []
+
+  while (
+    !(
+      str.next() instanceof SemicolonToken
+      || str.next() instanceof EOFToken
+    )
+  ) {
+    temp.push(consumeAComponentValue(str))
+  }
+
+  const values = temp.filter(token =>
+    !(
+      token instanceof WhitespaceToken
+      || token instanceof CommentToken
+    )
+  )
+
+  if (!(values[1] instanceof ColonToken)) {
+    return
+  }
+
+  if (!values[0].value.startsWith('--')) {
+    const value = values.slice(2)
+    const [bang, important] = value.slice(-2)
+
+    if (
+      bang instanceof DelimToken
+      && bang.value === '!'
+      && important instanceof IdentToken
+      && important.ASCIIMatch('important')
+    ) {
+      value.splice(-2)
+    }
+
+    if (
+      1 < value.length
+      && value.some(token =>
+        token instanceof SimpleBlock
+        && token.name === '{'
+      )
+    ) {
+      return
+    }
+  }
+
+  return consumeADeclaration(new TokenStream(temp, str.options))
+}
+
+// https://drafts.csswg.org/css-syntax/#consume-list-of-declarations
+const consumeAListOfDeclarations = (str = '') => {
+  let decls = []
+  const trivia = []
+
+  while (str.consume()) {
+    if (
+      str.token instanceof WhitespaceToken
       || str.token instanceof SemicolonToken
+      || str.token instanceof CommentToken
     ) {
-      donothing()
+      keepTrivia(str, decls, trivia, str.token)
     }
 
     else if (str.token instanceof EOFToken) {
-      return decls
+      return endTrivia(str, decls, trivia)
     }
 
     else if (str.token instanceof AtKeywordToken) {
       str.reconsume()
-      decls.push(consumeAnAtRule(str))
+      addItem(decls, trivia, consumeAnAtRule(str))
+    }
+
+    // Declarations and at-rules parsed already, like those in the block
+    // of a qualified rule
+    else if (
+      str.token instanceof Declaration
+      || str.token instanceof AtRule
+    ) {
+      addItem(decls, trivia, str.token)
     }
 
     else if (str.token instanceof IdentToken) {
@@ -1692,13 +2248,17 @@ const consumeAListOfDeclarations = (str = '') => {
 
       let decl
 
-      if (decl = consumeADeclaration(new TokenStream(temp))) {
-        decls.push(decl)
+      if (decl = consumeADeclaration(new TokenStream(temp, str.options))) {
+        addItem(decls, trivia, decl)
+      }
+
+      else {
+        keepTrivia(str, decls, trivia, ...temp)
       }
     }
 
     else {
-      parseerror(str)
+      parseerror(str, 'invalid-declaration', 'Expected a declaration or an at-rule.')
       str.reconsume()
 
       while (
@@ -1707,7 +2267,7 @@ const consumeAListOfDeclarations = (str = '') => {
           || str.next() instanceof EOFToken
         )
       ) {
-        consumeAComponentValue(str)
+        keepTrivia(str, decls, trivia, consumeAComponentValue(str))
       }
     }
   }
@@ -1718,14 +2278,19 @@ const consumeADeclaration = (str = '') => {
   // Assumes that the next input token will be an ident token
   str.consume()
 
-  const decl = new Declaration(str.token.value)
+  const name = str.token
+  const decl = new Declaration(name.value)
 
-  while (str.next() instanceof WhitespaceToken) {
-    str.consume()
+  // Comments before the colon move to the start of the value,
+  // unless the lossless mode keeps them in place
+  const between = consumeTrivia(str)
+
+  if (str.options.lossless) {
+    decl.raws = {name, between, important: []}
   }
 
   if (!(str.next() instanceof ColonToken)) {
-    parseerror(str)
+    parseerror(str, 'missing-colon', `Expected a colon after the declaration name "${decl.name}".`, str.next())
     return
   }
 
@@ -1733,14 +2298,38 @@ const consumeADeclaration = (str = '') => {
     str.consume()
   }
 
+  let last = str.token
+
+  if (decl.raws) {
+    decl.raws.between.push(str.token)
+  }
+
+  else {
+    decl.value.push(...between)
+  }
+
   while (!(str.next() instanceof EOFToken)) {
     decl.value.push(consumeAComponentValue(str))
+
+    if (
+      !(
+        str.token instanceof WhitespaceToken
+        || str.token instanceof CommentToken
+      )
+    ) {
+      last = decl.value[decl.value.length - 1]
+    }
   }
 
+  setRange(decl, name, last)
+
   let foundImportant = false
 
   for (let i = decl.value.length - 1; 0 <= i; i--) {
-    if (decl.value[i] instanceof WhitespaceToken) {
+    if (
+      decl.value[i] instanceof WhitespaceToken
+      || decl.value[i] instanceof CommentToken
+    ) {
       continue
     }
 
@@ -1756,7 +2345,18 @@ const consumeADeclaration = (str = '') => {
       && decl.value[i] instanceof DelimToken
       && decl.value[i].value === '!'
     ) {
-      decl.value.splice(i, decl.value.length)
+      const important = decl.value.splice(i, decl.value.length)
+
+      if (decl.raws) {
+        decl.raws.important = important
+      }
+
+      else {
+        decl.trailing.push(
+          ...important.filter(token => token instanceof CommentToken)
+        )
+      }
+
       decl.important = true
 
       break
@@ -1791,18 +2391,38 @@ const consumeAComponentValue = (str = '') => {
 
 // https://drafts.csswg.org/css-syntax/#consume-simple-block
 const consumeASimpleBlock = (str = '') => {
-  const mirror = str.token.mirror
-  const block = new SimpleBlock(str.token.value)
+  const open = str.token
+  const mirror = open.mirror
+  const block = new SimpleBlock(open.value)
+
+  if (str.options.lossless) {
+    block.raws = {end: null}
+  }
+
+  if (str.maxDepth <= str.depth) {
+    return consumeFlatContents(str, block, open)
+  }
+
+  str.depth++
 
   while (str.consume()) {
-    if (
-      str.token instanceof EOFToken
-      || (
-        str.token instanceof GroupingToken
-        && str.token.value === mirror
-      )
+    if (str.token instanceof EOFToken) {
+      str.depth--
+      parseerror(str, 'eof-in-block', `Unexpected end of input in a ${open.value}${mirror}-block.`, open)
+      return setRange(block, open, block.value[block.value.length - 1] || open)
+    }
+
+    else if (
+      str.token instanceof GroupingToken
+      && str.token.value === mirror
     ) {
-      return block
+      str.depth--
+
+      if (block.raws) {
+        block.raws.end = str.token
+      }
+
+      return setRange(block, open, str.token)
     }
 
     else {
@@ -1814,14 +2434,34 @@ const consumeASimpleBlock = (str = '') => {
 
 // https://drafts.csswg.org/css-syntax/#consume-function
 const consumeAFunction = (str = '') => {
-  const func = new Func(str.token.value)
+  const open = str.token
+  const func = new Func(open.value)
+
+  if (str.options.lossless) {
+    func.raws = {name: open, end: null}
+  }
+
+  if (str.maxDepth <= str.depth) {
+    return consumeFlatContents(str, func, open)
+  }
+
+  str.depth++
 
   while (str.consume()) {
-    if (
-      str.token instanceof EOFToken
-      || str.token instanceof CloseParenToken
-    ) {
-      return func
+    if (str.token instanceof EOFToken) {
+      str.depth--
+      parseerror(str, 'eof-in-function', `Unexpected end of input in the ${func.name}() function.`, open)
+      return setRange(func, open, func.value[func.value.length - 1] || open)
+    }
+
+    else if (str.token instanceof CloseParenToken) {
+      str.depth--
+
+      if (func.raws) {
+        func.raws.end = str.token
+      }
+
+      return setRange(func, open, str.token)
     }
 
     else {
@@ -1831,331 +2471,4429 @@ const consumeAFunction = (str = '') => {
   }
 }
 
-const normalizeInput = input => {
+// Past the maxDepth option, the contents of a simple block or function are
+// not consumed recursively: they are kept as a flat list of tokens, and
+// only a stack of the closing characters is needed to find where it ends
+const consumeFlatContents = (str = '', node, open) => {
+  const mirrors = [open.mirror]
+
+  parseerror(str, 'max-depth', `Blocks and functions are nested more than ${str.maxDepth} deep.`, open)
+
+  while (str.consume()) {
+    if (str.token instanceof EOFToken) {
+      if (node instanceof Func) {
+        parseerror(str, 'eof-in-function', `Unexpected end of input in the ${node.name}() function.`, open)
+      }
+
+      else {
+        parseerror(str, 'eof-in-block', `Unexpected end of input in a ${open.value}${open.mirror}-block.`, open)
+      }
+
+      return setRange(node, open, node.value[node.value.length - 1] || open)
+    }
+
+    else if (
+      str.token instanceof GroupingToken
+      && str.token.value === mirrors[mirrors.length - 1]
+    ) {
+      mirrors.pop()
+
+      if (mirrors.length === 0) {
+        if (node.raws) {
+          node.raws.end = str.token
+        }
+
+        return setRange(node, open, str.token)
+      }
+    }
+
+    else if (
+      str.token instanceof OpenCurlyToken
+      || str.token instanceof OpenSquareToken
+      || str.token instanceof OpenParenToken
+      || str.token instanceof FunctionToken
+    ) {
+      mirrors.push(str.token.mirror)
+    }
+
+    node.value.push(str.token)
+  }
+}
+
+const normalizeInput = (input, options = {}) => {
   if (typeof input === 'string') {
-    return new TokenStream(tokenize(input))
+    return new TokenStream(tokenizeIterator(input, options), options)
   }
 
   if (input instanceof TokenStream) {
     return input
   }
 
-  if (input.length !== undefined) {
-    return new TokenStream(input)
+  if (
+    input.length !== undefined
+    || typeof input[Symbol.iterator] === 'function'
+  ) {
+    return new TokenStream(input, options)
+  }
+
+  else {
+    throw SyntaxError(input)
+  }
+}
+
+// https://drafts.csswg.org/css-syntax/#parse-stylesheet
+export const parseAStylesheet = (str = '', options = {}) => {
+  str = normalizeInput(str, options)
+  const stylesheet = new Stylesheet()
+
+  if (str.options.lossless) {
+    stylesheet.raws = {}
+  }
+
+  stylesheet.value = consumeAListOfRules(str, 'top-level')
+  stylesheet.trailing.push(...str.trivia)
+
+  return setRange(
+    stylesheet,
+    stylesheet.value[0],
+    stylesheet.value[stylesheet.value.length - 1]
+  )
+}
+
+// Parse a stylesheet that arrives in chunks: every top-level rule is passed
+// to the onRule callback from the options as soon as it is closed, and end()
+// returns the whole stylesheet. Every chunk is tokenized once, except for
+// its last few tokens, which could still change with the text after them,
+// and the parser only goes over the tokens after the last closed rule again
+// when a ; or } could close another one. So anything split across chunks
+// comes out the same as when the stylesheet is parsed whole.
+export const createStylesheetParser = (options = {}) => {
+  const stylesheet = new Stylesheet()
+  // The text that is left to tokenize, and where it starts
+  let buffer = ''
+  let start = {line: 1, column: 1, offset: 0, ...options.start}
+  // The tokens after the last closed rule, with the tokenizer errors found
+  // before each of them, and the closing brackets of the blocks and
+  // functions they leave open
+  let tokens = []
+  const tokenErrors = new WeakMap
+  const mirrors = []
+  let tokenCount = 0
+  let ready = false
+  let ended = false
+  // A comment or string left open at the start of the buffer can't end
+  // before the text that ends it, so it isn't tokenized again until then
+  let closing = null
+
+  if (options.lossless) {
+    stylesheet.raws = {}
+  }
+
+  // Whether the text after a token, once more of it comes, could still make
+  // it a longer token. Names can take more name code points or an escape,
+  // and numbers and delims can start something longer with the few code
+  // points after them. Strings, comments and URLs that end where the text
+  // ends may not be closed yet.
+  const couldGrow = (token, after = '') => {
+    const codes = [...after].map(code => code.codePointAt(0))
+
+    if (
+      token instanceof GroupingToken
+      || token instanceof SemicolonToken
+      || token instanceof ColonToken
+      || token instanceof CommaToken
+      || token instanceof FunctionToken
+      || token instanceof PercentageToken
+      || token instanceof CDOToken
+      || token instanceof CDCToken
+    ) {
+      return false
+    }
+
+    if (
+      token instanceof IdentToken
+      || token instanceof AtKeywordToken
+      || token instanceof HashToken
+      || token instanceof DimensionToken
+    ) {
+      return codes.length === 0
+        || (codes[0] === char('\\') && codes.length < 2)
+        // 1e+2 is a number, while 1e+ is a dimension and a delim
+        || (
+          token instanceof DimensionToken
+          && /^e$/i.test(token.unit)
+          && codes[0] === char('+')
+          && codes.length < 2
+        )
+    }
+
+    if (
+      token instanceof NumberToken
+      || token instanceof DelimToken
+    ) {
+      return codes.length < 3
+        && (
+          codes.length === 0
+          || namechar(codes[0])
+          || '\\.!*|=+-'.includes(after[0])
+        )
+    }
+
+    return codes.length === 0
+  }
+
+  const tokenize = final => {
+    const errors = []
+    const bufferOptions = {
+      ...options,
+      start,
+      maxTokens: options.maxTokens - tokenCount,
+      onError: error => errors.push(error)
+    }
+    const from = start.offset
+
+    try {
+      for (const token of tokenizeIterator(buffer, bufferOptions)) {
+        const after = buffer.slice(token.end.offset - from, token.end.offset - from + 3)
+
+        // A token that the text after it could still change is tokenized
+        // again along with the next chunk, and so is everything after it
+        if (
+          !final
+          && couldGrow(token, after)
+        ) {
+          break
+        }
+
+        tokenErrors.set(token, errors.splice(0))
+        tokens.push(token)
+        tokenCount++
+        start = token.end
+
+        if (mirrors.length === 0) {
+          ready = ready
+            || token instanceof SemicolonToken
+            || token instanceof CloseCurlyToken
+        }
+
+        if (
+          token instanceof OpenCurlyToken
+          || token instanceof OpenSquareToken
+          || token instanceof OpenParenToken
+          || token instanceof FunctionToken
+        ) {
+          mirrors.push(token.mirror)
+        }
+
+        else if (
+          token instanceof CloseCurlyToken
+          || token instanceof CloseSquareToken
+          || token instanceof CloseParenToken
+        ) {
+          if (mirrors[mirrors.length - 1] === token.value) {
+            mirrors.pop()
+            ready = ready || mirrors.length === 0
+          }
+        }
+      }
+    }
+
+    catch (error) {
+      // The limit on tokens is for the whole stylesheet, not just this part
+      if (
+        error instanceof TokenizerError
+        && error.code === 'max-tokens'
+      ) {
+        throw new TokenizerError(
+          error.code,
+          `The input has more than the maximum of ${options.maxTokens} tokens.`,
+          error.position
+        )
+      }
+
+      throw error
+    }
+
+    buffer = buffer.slice(start.offset - from)
+
+    const quote = buffer[0] === '"' || buffer[0] === "'"
+      ? buffer[0]
+      : null
+
+    closing = buffer.startsWith('/*')
+      ? /\*\//g
+      : quote && new RegExp(`[${quote}\\\\\\n\\r\\f]`, 'g')
+
+    if (closing) {
+      closing.lastIndex = quote ? 1 : 2
+    }
+  }
+
+  const parse = final => {
+    // Errors past the last closed rule will be found again next time
+    const errors = []
+    const parserOptions = {...options, onError: error => errors.push(error)}
+    const pull = function* () {
+      for (const token of tokens) {
+        errors.push(...tokenErrors.get(token))
+        yield token
+      }
+    }
+    const str = new TokenStream(pull(), parserOptions)
+    const trivia = []
+    let end = -1
+    let consumed = 0
+    let rule
+
+    // The tokens so far are done with, unless they wait to lead a rule
+    const commit = () => {
+      if (trivia.length === 0) {
+        end = str.token.end ? str.token.end.offset : end
+        consumed = str.i + 1
+      }
+    }
+
+    while (str.consume()) {
+      if (
+        str.token instanceof WhitespaceToken
+        || str.token instanceof CommentToken
+        || str.token instanceof CDOToken
+        || str.token instanceof CDCToken
+      ) {
+        // A comment on the line a rule ends on still trails it, as it does
+        // when the stylesheet is parsed whole, after the rule is passed on
+        keepTrivia(str, stylesheet.value, trivia, str.token)
+        commit()
+        continue
+      }
+
+      else if (str.token instanceof EOFToken) {
+        break
+      }
+
+      str.reconsume()
+      const from = str.i
+
+      if (str.next() instanceof AtKeywordToken) {
+        rule = consumeAnAtRule(str, consumeAListOfRules)
+      }
+
+      else {
+        rule = consumeAQualifiedRule(str)
+      }
+
+      if (
+        !final
+        && str.token instanceof EOFToken
+      ) {
+        break
+      }
+
+      if (rule) {
+        addItem(stylesheet.value, trivia, rule)
+        commit()
+
+        if (typeof options.onRule === 'function') {
+          options.onRule(rule)
+        }
+      }
+
+      else {
+        keepTrivia(str, stylesheet.value, trivia, ...str.since(from))
+        commit()
+      }
+    }
+
+    for (const error of errors) {
+      if (
+        final
+        || error.range.end.offset <= end
+      ) {
+        reportError(options, error.code, error.message, error.range)
+      }
+    }
+
+    if (final) {
+      endTrivia(str, stylesheet.value, trivia)
+      stylesheet.trailing.push(...str.trivia)
+    }
+
+    // The brackets left open are the same without the tokens done with,
+    // as those leave none open
+    tokens = tokens.slice(consumed)
+    ready = false
+  }
+
+  return {
+    write(chunk = '') {
+      if (ended) {
+        throw new Error('Cannot write to a stylesheet parser after end()')
+      }
+
+      buffer += chunk
+
+      if (start.offset + buffer.length > options.maxInputLength) {
+        throw new TokenizerError(
+          'max-input-length',
+          `The input is more than the maximum of ${options.maxInputLength} code units long.`,
+          start
+        )
+      }
+
+      if (closing) {
+        const from = closing.lastIndex
+
+        if (!closing.test(buffer)) {
+          // Look again from here, in case the chunk ends halfway through */
+          closing.lastIndex = Math.max(from, buffer.length - 1)
+          return
+        }
+      }
+
+      tokenize(false)
+
+      // Only a } or ; outside of any block can close a rule
+      if (ready) {
+        parse(false)
+      }
+    },
+    end(chunk = '') {
+      if (ended) {
+        throw new Error('The stylesheet parser has already ended')
+      }
+
+      buffer += chunk
+      ended = true
+      tokenize(true)
+      parse(true)
+
+      return setRange(
+        stylesheet,
+        stylesheet.value[0],
+        stylesheet.value[stylesheet.value.length - 1]
+      )
+    }
+  }
+}
+
+// The trivia of a list without items, which has nothing to trail, trails
+// the list itself
+const withTrailing = (str, items = []) =>
+  Object.assign(items, {trailing: str.trivia.splice(0)})
+
+// https://drafts.csswg.org/css-syntax/#parse-list-of-rules
+export const parseAListOfRules = (str = '', options = {}) => {
+  str = normalizeInput(str, options)
+  return withTrailing(str, consumeAListOfRules(str))
+}
+
+// https://drafts.csswg.org/css-syntax/#parse-rule
+export const parseARule = (str = '', options = {}) => {
+  str = normalizeInput(str, options)
+  let rule
+
+  const leading = consumeTrivia(str)
+
+  if (str.next() instanceof EOFToken) {
+    throw SyntaxError()
+  }
+
+  if (str.next() instanceof AtKeywordToken) {
+    rule = consumeAnAtRule(str, consumeAListOfRules)
+  }
+
+  else {
+    rule = consumeAQualifiedRule(str)
+    if (!rule) {
+      throw SyntaxError()
+    }
+  }
+
+  rule.leading.push(...leading)
+  rule.trailing.push(...consumeTrivia(str))
+
+  if (str.next() instanceof EOFToken) {
+    return rule
+  }
+
+  throw SyntaxError()
+}
+
+// https://drafts.csswg.org/css-syntax/#parse-declaration
+export const parseADeclaration = (str = '', options = {}) => {
+  str = normalizeInput(str, options)
+
+  const leading = consumeTrivia(str)
+
+  if (!(str.next() instanceof IdentToken)) {
+    throw SyntaxError()
+  }
+
+  const decl = consumeADeclaration(str)
+
+  if (decl) {
+    decl.leading.unshift(...leading)
+    return decl
+  }
+
+  else {
+    throw SyntaxError()
+  }
+}
+
+// https://drafts.csswg.org/css-syntax/#parse-list-of-declarations
+export const parseAListOfDeclarations = (str = '', options = {}) => {
+  str = normalizeInput(str, options)
+  return withTrailing(str, consumeAListOfDeclarations(str))
+}
+
+// https://drafts.csswg.org/css-syntax/#parse-block-contents
+export const parseABlocksContents = (str = '', options = {}) => {
+  str = normalizeInput(str, options)
+  return withTrailing(str, consumeABlocksContents(str))
+}
+
+// https://drafts.csswg.org/css-syntax/#parse-component-value
+export const parseAComponentValue = (str = '', options = {}) => {
+  str = normalizeInput(str, options)
+
+  consumeTrivia(str)
+
+  if (str.next() instanceof EOFToken) {
+    throw SyntaxError()
+  }
+
+  const val = consumeAComponentValue(str)
+
+  if (!val) {
+    throw SyntaxError()
+  }
+
+  consumeTrivia(str)
+
+  if (str.next() instanceof EOFToken) {
+    return val
+  }
+
+  throw SyntaxError()
+}
+
+// https://drafts.csswg.org/css-syntax/#parse-list-of-component-values
+export const parseAListOfComponentValues = (str = '', options = {}) => {
+  str = normalizeInput(str, options)
+
+  let vals = []
+
+  while (true) {
+    const val = consumeAComponentValue(str)
+    if (val instanceof EOFToken) {
+      return vals
+    }
+
+    else {
+      vals.push(val)
+    }
+  }
+}
+
+// https://drafts.csswg.org/css-syntax/#parse-comma-separated-list-of-component-values
+export const parseACommaSeparatedListOfComponentValues = (str = '', options = {}) => {
+  str = normalizeInput(str, options)
+
+  let listOfCVLs = []
+
+  while (true) {
+    let vals = []
+
+    while (true) {
+      const val = consumeAComponentValue(str)
+
+      if (val instanceof EOFToken) {
+        listOfCVLs.push(vals)
+        return listOfCVLs
+      }
+
+      else if (val instanceof CommaToken) {
+        listOfCVLs.push(vals)
+        break
+      }
+
+      else {
+        vals.push(val)
+      }
+    }
+  }
+}
+
+// Parser objects
+const flattenTokens = (tokens = [], joinString = '') => {
+  if (
+    Array.isArray(tokens)
+  ) {
+    return tokens
+      .map(token => token.toSource())
+      .join(joinString)
+  } else if (!tokens) {
+    return ';'
+  } else {
+    try {
+      return tokens.toSource()
+    } catch (error) {
+      console.log(tokens, error)
+      return 'error'
+    }
+  }
+}
+
+const cloneValue = value => {
+  if (Array.isArray(value)) {
+    return value.map(cloneValue)
+  }
+
+  return value && value.clone
+    ? value.clone()
+    : value
+}
+
+// Surround the source of a rule or declaration with its trivia
+const withTrivia = (node, source = '') =>
+  flattenTokens(node.leading) + source + flattenTokens(node.trailing)
+
+// Nodes from the lossless mode keep the token their name came from,
+// which is reused as long as the name is unchanged
+const rawName = (node, source = '') =>
+  node.raws.name.value === node.name
+    ? node.raws.name.toSource()
+    : source
+
+export class CSSParserRule {
+  constructor () {
+    if (this.constructor === CSSParserRule) {
+      throw new Error("Can't instantiate abstract class");
+    }
+
+    // Comments kept before and after this rule or declaration
+    this.leading = []
+    this.trailing = []
+  }
+  toString(value) { return JSON.stringify(this, null, value) }
+  toJSON() {
+    return {
+      type: this.type,
+      start: this.start,
+      end: this.end,
+      leading: this.leading.length ? this.leading : undefined,
+      trailing: this.trailing.length ? this.trailing : undefined,
+      raws: this.raws,
+      value: this.value
+    }
+  }
+  toSource() { return this.value }
+  // A deep copy, without the parent link
+  clone() {
+    const node = Object.assign(Object.create(Object.getPrototypeOf(this)), this)
+
+    for (const key of ['leading', 'trailing', 'prelude', 'value']) {
+      if (key in this) {
+        node[key] = cloneValue(this[key])
+      }
+    }
+
+    if (this.raws) {
+      node.raws = {}
+
+      for (const key in this.raws) {
+        node.raws[key] = cloneValue(this.raws[key])
+      }
+    }
+
+    return node
+  }
+  ancestors() { return ancestorsOf(this) }
+  closest(type = '') { return closestOf(this, type) }
+  path() { return pathOf(this) }
+  append(...nodes) {
+    insertNodes(this, nodes, list => list.length)
+    return this
+  }
+  prepend(...nodes) {
+    insertNodes(this, nodes, () => 0)
+    return this
+  }
+  insertBefore(reference, ...nodes) {
+    insertNodes(this, nodes, list => indexOfChild(list, reference))
+    return this
+  }
+  insertAfter(reference, ...nodes) {
+    insertNodes(this, nodes, list => indexOfChild(list, reference) + 1)
+    return this
+  }
+  replaceWith(...nodes) {
+    replaceNode(this, nodes)
+    return this
+  }
+  remove() {
+    replaceNode(this, [])
+    return this
+  }
+}
+
+// https://drafts.csswg.org/css-syntax/#typedef-stylesheet
+export class Stylesheet extends CSSParserRule {
+  constructor() {
+    super()
+
+    this.type = 'STYLESHEET'
+    this.value = []
+  }
+  toSource() {
+    if (this.raws) {
+      return withTrivia(this, flattenTokens(this.value))
+    }
+
+    return withTrivia(this, flattenTokens(this.value, ' ').trim())
+  }
+}
+
+// https://drafts.csswg.org/css-syntax/#at-rule
+export class AtRule extends CSSParserRule {
+  constructor(value) {
+    super()
+
+    this.type = 'AT-RULE'
+    this.name = value
+    this.prelude = []
+    this.value = null
+  }
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      name: this.name,
+      prelude: this.prelude
+    }
+  }
+  toSource() {
+    if (this.raws) {
+      const end = this.value || !this.raws.end
+        ? flattenTokens(this.value || [])
+        : this.raws.end.toSource()
+
+      return withTrivia(this, `${rawName(this, '@' + this.name)}${flattenTokens(this.prelude)}${end}`)
+    }
+
+    return withTrivia(this, `@${this.name}${flattenTokens(this.prelude)}${flattenTokens(this.value)}`)
+  }
+}
+
+// https://drafts.csswg.org/css-syntax/#qualified-rule
+export class QualifiedRule extends CSSParserRule {
+  constructor() {
+    super()
+
+    this.type = 'QUALIFIED-RULE'
+    this.prelude = []
+    this.value = []
+  }
+  // The declarations and the nested rules from the block of this rule
+  get declarations() {
+    return (this.value.value || []).filter(item => item instanceof Declaration)
+  }
+  get rules() {
+    return (this.value.value || []).filter(item =>
+      item instanceof AtRule
+      || item instanceof QualifiedRule
+    )
+  }
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      prelude: this.prelude
+    }
+  }
+  toSource() {
+    return withTrivia(this, `${flattenTokens(this.prelude)}${flattenTokens(this.value)}`)
+  }
+}
+
+// https://drafts.csswg.org/css-syntax/#declaration
+export class Declaration extends CSSParserRule {
+  constructor(value) {
+    super()
+
+    this.type = 'DECLARATION'
+    this.name = value
+    this.value = []
+    this.important = false
+  }
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      name: this.name,
+      important: this.important
+    }
+  }
+  toSource() {
+    if (this.raws) {
+      const important = this.important
+        ? flattenTokens(this.raws.important) || '!important'
+        : ''
+
+      return withTrivia(this, `${rawName(this, escapeIdent(this.name))}${flattenTokens(this.raws.between)}${flattenTokens(this.value)}${important}`)
+    }
+
+    return withTrivia(this, `${escapeIdent(this.name)}:${flattenTokens(this.value)}${this.important ? `!important` : ''}`)
+  }
+}
+
+export class SimpleBlock extends CSSParserRule {
+  constructor(value) {
+    super()
+
+    this.type = 'BLOCK'
+    this.name = value
+    this.value = []
+    this.mirror = ({
+      '(': ')',
+      '{': '}',
+      '[': ']'
+    })[this.name]
+  }
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      name: this.name
+    }
+  }
+  toSource() {
+    const end = this.raws && this.raws.end === null ? '' : this.mirror
+    const trivia = flattenTokens(this.raws && this.raws.trivia || [])
+
+    // A declaration in the block of a qualified rule is followed by a
+    // semicolon, unless one is kept in the trivia around it already
+    const value = this.value.map((item, i) =>
+      item instanceof Declaration
+      && i < this.value.length - 1
+      && ![...item.trailing, ...this.value[i + 1].leading || []]
+        .some(token => token instanceof SemicolonToken)
+        ? item.toSource() + ';'
+        : item.toSource()
+    )
+
+    return withTrivia(this, `${this.name}${value.join('')}${trivia}${end}`)
+  }
+}
+
+export class Func extends CSSParserRule {
+  constructor(value) {
+    super()
+
+    this.type = 'FUNCTION'
+    this.name = value
+    this.value = []
+  }
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      name: this.name
+    }
+  }
+  toSource() {
+    if (this.raws) {
+      const end = this.raws.end ? ')' : ''
+
+      return withTrivia(this, `${rawName(this, this.name + '(')}${this.value.map(token => token.toSource()).join('')}${end}`)
+    }
+
+    return withTrivia(this, `${this.name}(${this.value.map(token => token.toSource()).join('')})`)
+  }
+}
+
+// Factories
+// Build tokens and nodes shaped like the ones the parser produces. Values
+// given as strings are parsed, and arrays of tokens and nodes are used as is.
+const componentValues = (value = []) => {
+  if (typeof value === 'string') {
+    return parseAListOfComponentValues(value)
+  }
+
+  return Array.isArray(value) ? [...value] : [value]
+}
+
+// NaN and infinite numbers have no token of their own
+const numericType = (value = 0) => {
+  if (!Number.isFinite(value)) {
+    throw RangeError(`${value} is not a finite number.`)
+  }
+
+  return Number.isInteger(value) ? 'integer' : 'number'
+}
+
+export const ident = (value = '') => new IdentToken(value)
+
+export const string = (value = '') => new StringToken(value)
+
+export const url = (value = '') => new URLToken(value)
+
+export const delim = (value = '') => {
+  if ([...value].length !== 1) {
+    throw SyntaxError(`A delim is one character, not "${value}".`)
+  }
+
+  return new DelimToken(value.codePointAt(0))
+}
+
+export const hashToken = (value = '') => {
+  const token = new HashToken(value)
+  const [first, second] = [value.charCodeAt(0), value.charCodeAt(1)]
+
+  if (
+    namestartchar(first)
+    || (
+      first === char('-')
+      && (
+        namestartchar(second)
+        || second === char('-')
+      )
+    )
+  ) {
+    token.type = 'id'
+  }
+
+  return token
+}
+
+export const number = (value = 0) => {
+  const token = new NumberToken()
+
+  token.value = value
+  token.type = numericType(value)
+  token.repr = String(value)
+
+  return token
+}
+
+export const percentage = (value = 0) => {
+  const token = new PercentageToken()
+
+  numericType(value)
+
+  token.value = value
+  token.repr = String(value)
+
+  return token
+}
+
+export const dimension = (value = 0, unit = '') => {
+  const token = new DimensionToken()
+
+  token.value = value
+  token.type = numericType(value)
+  token.repr = String(value)
+  token.unit = unit
+
+  return token
+}
+
+export const func = (name = '', value = []) => {
+  const node = new Func(name)
+
+  node.value = componentValues(value)
+
+  return node
+}
+
+export const block = (name = '{', value = []) => {
+  const node = new SimpleBlock(name)
+
+  node.value = componentValues(value)
+
+  return node
+}
+
+// Whether a declaration value would be written out as something else than
+// itself: a semicolon or a } would end the declaration early, and a value
+// ending with !important would be read back as an important declaration
+const endsADeclaration = (value = []) => {
+  const tokens = value.filter(token =>
+    !(
+      token instanceof WhitespaceToken
+      || token instanceof CommentToken
+    )
+  )
+
+  return tokens.some((token, i) =>
+    token instanceof SemicolonToken
+    || token instanceof CloseCurlyToken
+    || (
+      token instanceof DelimToken
+      && token.value === '!'
+      && tokens[i + 1] instanceof IdentToken
+      && tokens[i + 1].ASCIIMatch('important')
+    )
+  )
+}
+
+// A value given as a string can end with !important
+export const decl = (name = '', value = [], important = false) => {
+  const node = typeof value === 'string'
+    ? parseADeclaration(`${escapeIdent(name)}:${value}`)
+    : new Declaration(name)
+
+  if (typeof value !== 'string') {
+    node.value = componentValues(value)
+  }
+
+  if (endsADeclaration(node.value)) {
+    throw SyntaxError(`The value of the ${name} declaration can't have a top-level semicolon, } or !important.`)
+  }
+
+  node.important = node.important || important
+
+  return node
+}
+
+// The contents of a rule can be a string of declarations and nested rules,
+// or a list of nodes
+// A } that closes no block would close the block of the rule early
+const ruleBlock = (contents = []) => {
+  const node = new SimpleBlock('{')
+
+  if (
+    typeof contents === 'string'
+    && parseAListOfComponentValues(contents).some(value => value instanceof CloseCurlyToken)
+  ) {
+    throw SyntaxError('The contents of a rule can\'t have a } that closes no block.')
+  }
+
+  node.value = typeof contents === 'string'
+    ? parseABlocksContents(contents)
+    : [...contents]
+
+  return node
+}
+
+// A {-block, a } or a semicolon would end the prelude of a rule early
+const rulePrelude = (prelude = []) => {
+  const values = componentValues(prelude)
+
+  if (
+    values.some(value =>
+      value instanceof SemicolonToken
+      || value instanceof CloseCurlyToken
+      || (
+        value instanceof SimpleBlock
+        && value.name === '{'
+      )
+    )
+  ) {
+    throw SyntaxError('The prelude of a rule can\'t have a top-level {, } or semicolon.')
+  }
+
+  return values
+}
+
+export const rule = (prelude = [], contents = []) => {
+  const node = new QualifiedRule()
+
+  node.prelude = rulePrelude(prelude)
+  node.value = ruleBlock(contents)
+
+  return node
+}
+
+// An at-rule without contents ends with a semicolon instead of a block
+export const atRule = (name = '', prelude = [], contents = null) => {
+  const node = new AtRule(name)
+
+  node.prelude = rulePrelude(prelude)
+
+  // The prelude of a parsed at-rule starts with the whitespace after its name
+  if (
+    node.prelude.length
+    && !(node.prelude[0] instanceof WhitespaceToken)
+  ) {
+    node.prelude.unshift(new WhitespaceToken())
+  }
+
+  if (contents !== null) {
+    node.value = ruleBlock(contents)
+  }
+
+  return node
+}
+
+export const stylesheet = (rules = []) => {
+  if (typeof rules === 'string') {
+    return parseAStylesheet(rules)
+  }
+
+  const node = new Stylesheet()
+
+  node.value = [...rules]
+
+  return node
+}
+
+// Rehydration
+const tokenClasses = Object.fromEntries(
+  [
+    IdentToken, FunctionToken, AtKeywordToken, HashToken, StringToken,
+    BadStringToken, URLToken, BadURLToken, DelimToken, NumberToken,
+    PercentageToken, DimensionToken, WhitespaceToken, CommentToken, CDOToken,
+    CDCToken, ColonToken, SemicolonToken, CommaToken, OpenSquareToken,
+    CloseSquareToken, OpenParenToken, CloseParenToken, OpenCurlyToken,
+    CloseCurlyToken, IncludeMatchToken, DashMatchToken, PrefixMatchToken,
+    SuffixMatchToken, SubstringMatchToken, ColumnToken, EOFToken
+  ].map(TokenClass => [new TokenClass().tokenType, TokenClass])
+)
+
+const nodeClasses = {
+  STYLESHEET: Stylesheet,
+  'AT-RULE': AtRule,
+  'QUALIFIED-RULE': QualifiedRule,
+  DECLARATION: Declaration,
+  BLOCK: SimpleBlock,
+  FUNCTION: Func
+}
+
+// Turn the output of toJSON() (or a JSON string of it) back into tokens and
+// nodes. The raw text and raws kept by the lossless mode are part of the
+// JSON, so rehydrated tokens and nodes are serialized as they were.
+export const fromJSON = json => {
+  if (typeof json === 'string') {
+    json = JSON.parse(json)
+  }
+
+  if (Array.isArray(json)) {
+    return json.map(fromJSON)
+  }
+
+  if (json === null) {
+    return null
+  }
+
+  if (json.token !== undefined) {
+    const TokenClass = tokenClasses[json.token]
+
+    if (!TokenClass) {
+      throw new SyntaxError(`Unknown token type: ${json.token}`)
+    }
+
+    const {token, ...fields} = json
+
+    return Object.assign(new TokenClass(), fields)
+  }
+
+  const NodeClass = nodeClasses[json.type]
+
+  if (!NodeClass) {
+    throw new SyntaxError(`Unknown node type: ${json.type}`)
+  }
+
+  const node = new NodeClass(json.name)
+
+  setRange(node, json, json)
+
+  for (const key of ['leading', 'trailing', 'prelude', 'value']) {
+    if (json[key] !== undefined) {
+      node[key] = fromJSON(json[key])
+    }
+  }
+
+  if (json.important !== undefined) {
+    node.important = json.important
+  }
+
+  if (json.raws !== undefined) {
+    node.raws = {}
+
+    for (const key in json.raws) {
+      node.raws[key] = fromJSON(json.raws[key])
+    }
+  }
+
+  return node
+}
+
+// Structural equality
+// Names are matched ASCII case-insensitively, except for dashed idents
+// like the names of custom properties
+const foldCase = (name = '') =>
+  name.startsWith('--')
+    ? name
+    : asciiLowercase(name)
+
+// Whitespace around commas, semicolons and {}-blocks, or after a colon,
+// doesn't change what a list of values means, and in the prelude of a
+// qualified rule neither does whitespace around the >, + and ~ combinators
+// https://drafts.csswg.org/selectors-4/#combinators
+const separatesValues = (item, after = false, selector = false) =>
+  item instanceof CommaToken
+  || item instanceof SemicolonToken
+  || (
+    item instanceof SimpleBlock
+    && item.name === '{'
+  )
+  || (
+    after
+    && item instanceof ColonToken
+  )
+  || (
+    selector
+    && item instanceof DelimToken
+    && ['>', '+', '~'].includes(item.value)
+  )
+
+// Comments are left out, and whitespace only counts once between values
+// that it keeps apart
+const significantValues = (list = [], selector = false) => {
+  const values = []
+
+  for (const item of list) {
+    const last = values[values.length - 1]
+
+    if (
+      item instanceof CommentToken
+      || (
+        item instanceof WhitespaceToken
+        && (
+          last === undefined
+          || last instanceof WhitespaceToken
+          || separatesValues(last, true, selector)
+        )
+      )
+    ) {
+      continue
+    }
+
+    if (
+      last instanceof WhitespaceToken
+      && separatesValues(item, false, selector)
+    ) {
+      values.pop()
+    }
+
+    values.push(item)
+  }
+
+  if (values[values.length - 1] instanceof WhitespaceToken) {
+    values.pop()
+  }
+
+  return values
+}
+
+// A key that is the same for equal tokens and nodes, leaving out their
+// source locations, trivia and raw text
+const structuralKey = (node, selector = false) => {
+  if (Array.isArray(node)) {
+    return significantValues(node, selector)
+      .map(item => structuralKey(item, selector))
+  }
+
+  if (!node) {
+    return null
+  }
+
+  if (node instanceof CSSParserToken) {
+    return [
+      node.tokenType,
+      node instanceof IdentToken
+      || node instanceof FunctionToken
+      || node instanceof AtKeywordToken
+        ? foldCase(node.value)
+        : node.value,
+      node.type,
+      node.unit === undefined ? undefined : asciiLowercase(node.unit)
+    ]
+  }
+
+  return [
+    node.type,
+    node instanceof SimpleBlock || node.name === undefined
+      ? node.name
+      : foldCase(node.name),
+    node.important,
+    structuralKey(node.prelude, node instanceof QualifiedRule),
+    structuralKey(
+      node.value,
+      selector
+      && !(node instanceof QualifiedRule)
+      && !(node instanceof AtRule)
+    )
+  ]
+}
+
+// Compare two tokens, nodes or lists of them
+export const equals = (a, b) =>
+  JSON.stringify(structuralKey(a)) === JSON.stringify(structuralKey(b))
+
+// A 32-bit FNV-1a hash, the same for tokens and nodes that are equal()
+export const hash = node => {
+  const key = JSON.stringify(structuralKey(node))
+  let result = 0x811c9dc5
+
+  for (let i = 0; i < key.length; i++) {
+    result ^= key.charCodeAt(i)
+    result = Math.imul(result, 0x01000193)
+  }
+
+  return result >>> 0
+}
+
+// Tree traversal
+const typeOf = node =>
+  node instanceof CSSParserToken
+    ? node.tokenType
+    : node.type
+
+// The nodes and tokens a parser node is made of, in source order
+const childrenOf = node => {
+  if (
+    node instanceof AtRule
+    || node instanceof QualifiedRule
+  ) {
+    return node.value instanceof SimpleBlock
+      ? [...node.prelude, node.value]
+      : node.prelude
+  }
+
+  if (node instanceof CSSParserRule) {
+    return node.value
+  }
+
+  return []
+}
+
+// Visit every node and token of a parse result (or a list of them) in source
+// order. The visitor has a callback for each type it is interested in, like
+// DECLARATION or IDENT: either a function called on entering the node, or an
+// object with enter and leave functions, called with the node and its parent.
+// Returning 'skip' from enter leaves out the contents of the node, and
+// returning 'stop' from enter or leave ends the walk.
+export const walk = (node, visitor = {}) => {
+  const visit = (when, node, parent) => {
+    const callback = visitor[typeOf(node)]
+
+    if (typeof callback === 'function') {
+      return when === 'enter'
+        ? callback(node, parent)
+        : undefined
+    }
+
+    if (callback && callback[when]) {
+      return callback[when](node, parent)
+    }
+  }
+
+  // An explicit stack, so that deeply nested trees can't overflow the call stack
+  const stack = [{node: undefined, children: Array.isArray(node) ? node : [node], i: 0}]
+
+  while (stack.length) {
+    const frame = stack[stack.length - 1]
+
+    if (frame.i < frame.children.length) {
+      const child = frame.children[frame.i++]
+      const result = visit('enter', child, frame.node)
+
+      if (result === 'stop') {
+        return
+      }
+
+      if (result === 'skip') {
+        if (visit('leave', child, frame.node) === 'stop') {
+          return
+        }
+      }
+
+      else {
+        stack.push({node: child, children: childrenOf(child), i: 0})
+      }
+    }
+
+    else {
+      stack.pop()
+
+      if (
+        stack.length
+        && visit('leave', frame.node, stack[stack.length - 1].node) === 'stop'
+      ) {
+        return
+      }
+    }
+  }
+}
+
+// The list that each item of a list given to linkParents() was linked in,
+// which starts the path of everything under it
+const linkedLists = new WeakMap
+
+// Give every node and token in a parse result (or a list of them) a parent
+// property pointing at the node that contains it. It is not enumerable, so
+// it doesn't show up when nodes are copied or logged.
+export const linkParents = root => {
+  const stack = Array.isArray(root) ? [...root] : [root]
+
+  if (Array.isArray(root)) {
+    for (const item of root) {
+      linkedLists.set(item, root)
+    }
+  }
+
+  else {
+    linkedLists.delete(root)
+  }
+
+  while (stack.length) {
+    const node = stack.pop()
+
+    for (const child of childrenOf(node)) {
+      setParent(child, node)
+      stack.push(child)
+    }
+  }
+
+  return root
+}
+
+const setParent = (node, parent) =>
+  Object.defineProperty(node, 'parent', {
+    value: parent,
+    writable: true,
+    configurable: true
+  })
+
+// Tree mutation
+// A changed node and everything containing it are marked as modified: their
+// text no longer matches the source range they were parsed from, so that
+// range is taken off them
+const markModified = node => {
+  for (; node; node = node.parent) {
+    node.modified = true
+    delete node.start
+    delete node.end
+  }
+}
+
+const indexOfChild = (list = [], reference) => {
+  const index = list.indexOf(reference)
+
+  if (index === -1) {
+    throw new Error('The reference node is not a child of this node.')
+  }
+
+  return index
+}
+
+// Thrown when a node would be put inside itself or a node it contains
+export class HierarchyRequestError extends Error {
+  constructor(message = '') {
+    super(message)
+
+    this.name = 'HierarchyRequestError'
+  }
+}
+
+// Where the nodes would be put can't be one of them, or inside one of them.
+// They are gone through rather than the parents of the target, which are
+// only there once linked.
+const checkHierarchy = (target, nodes = []) => {
+  const stack = [...nodes]
+
+  while (stack.length) {
+    const node = stack.pop()
+
+    if (node === target) {
+      throw new HierarchyRequestError('A node can\'t be put inside itself or a node it contains.')
+    }
+
+    stack.push(...childrenOf(node))
+  }
+}
+
+// Nodes are added to the value of a stylesheet, declaration, simple block or
+// function, or to the contents of the block of a rule, which is created for
+// an at-rule that doesn't have one yet. Nodes already in a tree are moved.
+const insertNodes = (node, nodes = [], position) => {
+  checkHierarchy(node, nodes)
+
+  if (
+    node instanceof AtRule
+    || node instanceof QualifiedRule
+  ) {
+    if (!(node.value instanceof SimpleBlock)) {
+      node.value = setParent(new SimpleBlock('{'), node)
+    }
+
+    node = node.value
+  }
+
+  nodes.forEach(detachNode)
+  node.value.splice(position(node.value), 0, ...nodes)
+
+  for (const child of nodes) {
+    linkParents(setParent(child, node))
+  }
+
+  markModified(node)
+}
+
+const isRuleOrDeclaration = node =>
+  node instanceof Declaration
+  || node instanceof AtRule
+  || node instanceof QualifiedRule
+
+// A rule or declaration that is replaced hands its trivia on to the nodes put
+// in its place. One that is taken out leaves its leading trivia behind, but
+// for the whitespace right before it, and takes the semicolon ending it along
+const moveTrivia = (parent, list, index, nodes) => {
+  const node = list[index]
+  const [first] = nodes
+  const last = nodes[nodes.length - 1]
+
+  if (!isRuleOrDeclaration(node)) {
+    return
+  }
+
+  if (first && first.leading && last.trailing) {
+    first.leading.unshift(...node.leading.splice(0))
+    last.trailing.push(...node.trailing.splice(0))
+    return
+  }
+
+  const leading = node.leading.splice(0)
+  const next = list[index + 1]
+
+  while (leading[leading.length - 1] instanceof WhitespaceToken) {
+    leading.pop()
+  }
+
+  if (next && next.leading) {
+    const end = next.leading.findIndex(token => !(token instanceof WhitespaceToken))
+
+    if (
+      node instanceof Declaration
+      && next.leading[end] instanceof SemicolonToken
+    ) {
+      next.leading.splice(0, end + 1)
+    }
+
+    next.leading.unshift(...leading)
+  }
+
+  else if (parent instanceof SimpleBlock) {
+    parent.raws = {
+      ...parent.raws,
+      trivia: [...leading, ...(parent.raws && parent.raws.trivia || [])]
+    }
+  }
+
+  else {
+    parent.trailing.unshift(...leading)
+  }
+}
+
+// Take a node out of the list or the block slot of its parent, putting
+// other nodes in its place. The block of a qualified rule can only be
+// replaced by another {}-block, and the block of an at-rule by one or none
+const replaceNode = (node, nodes = []) => {
+  const parent = node.parent
+
+  if (!parent) {
+    throw new Error('The node has no parent: call linkParents() on the tree it is in first.')
+  }
+
+  checkHierarchy(parent, nodes)
+
+  if (
+    parent.value === node
+    && !(
+      nodes.length === 1
+      && nodes[0] instanceof SimpleBlock
+      && nodes[0].name === '{'
+    )
+    && !(
+      nodes.length === 0
+      && parent instanceof AtRule
+    )
+  ) {
+    throw new Error('The block of a rule can only be replaced by a {}-block.')
+  }
+
+  nodes
+    .filter(other => other !== node)
+    .forEach(detachNode)
+
+  if (parent.value === node) {
+    parent.value = nodes[0] || null
+
+    // Without its block, an at-rule ends with a semicolon
+    if (
+      !parent.value
+      && parent.raws
+      && !parent.raws.end
+    ) {
+      parent.raws.end = new SemicolonToken
+    }
+  }
+
+  else {
+    const list = parent.prelude && parent.prelude.includes(node)
+      ? parent.prelude
+      : parent.value
+    const index = list.indexOf(node)
+
+    if (index !== -1) {
+      moveTrivia(parent, list, index, nodes)
+      list.splice(index, 1, ...nodes)
+    }
+  }
+
+  for (const child of nodes) {
+    linkParents(setParent(child, parent))
+  }
+
+  if (!nodes.includes(node)) {
+    delete node.parent
+  }
+
+  markModified(parent)
+}
+
+const detachNode = node => {
+  if (node.parent) {
+    replaceNode(node, [])
+  }
+}
+
+// The nodes containing a node, from its parent up, once parents are linked
+const ancestorsOf = node => {
+  const ancestors = []
+
+  for (let parent = node.parent; parent; parent = parent.parent) {
+    ancestors.push(parent)
+  }
+
+  return ancestors
+}
+
+// The node itself or its closest ancestor of a type, like AT-RULE
+const closestOf = (node, type = '') => {
+  for (; node; node = node.parent) {
+    if (typeOf(node) === type) {
+      return node
+    }
+  }
+
+  return null
+}
+
+// The keys leading from the topmost linked node (or the list it was linked
+// in) down to a node: an index into the value of a stylesheet, declaration,
+// simple block or function or into a list, 'prelude' and an index for the
+// prelude of a rule, and 'value' for the block of a rule
+const pathOf = node => {
+  const path = []
+
+  for (; node.parent; node = node.parent) {
+    const parent = node.parent
+
+    if (
+      parent instanceof AtRule
+      || parent instanceof QualifiedRule
+    ) {
+      if (parent.value === node) {
+        path.unshift('value')
+      }
+
+      else {
+        path.unshift('prelude', parent.prelude.indexOf(node))
+      }
+    }
+
+    else {
+      path.unshift(parent.value.indexOf(node))
+    }
+  }
+
+  const list = linkedLists.get(node)
+
+  if (list && list.includes(node)) {
+    path.unshift(list.indexOf(node))
+  }
+
+  return path
+}
+
+// Find the node at the end of a path from path(), starting from the same
+// topmost node in this or another parse of the same source
+export const nodeAtPath = (root, path = []) =>
+  path.reduce(
+    (node, key) => {
+      if (node === undefined || node === null) {
+        return undefined
+      }
+
+      if (
+        typeof key === 'number'
+        && !Array.isArray(node)
+      ) {
+        return node.value[key]
+      }
+
+      return node[key]
+    },
+    root
+  )
+
+// https://drafts.csswg.org/css-syntax/#anb-microsyntax
+// Takes a string or a list of component values, like the value of an
+// :nth-child() function, and returns {a, b}, or a diagnostic if it isn't
+// a valid An+B expression
+export const parseAnPlusB = (input = [], options = {}) => {
+  const values = (
+    typeof input === 'string'
+      ? parseAListOfComponentValues(input, options)
+      : input
+  ).filter(value => !(value instanceof CommentToken))
+
+  const invalid = () =>
+    reportError(options, 'invalid-anb', 'Expected an An+B expression.', rangeOf(values))
+
+  let i = 0
+
+  const skipWhitespace = () => {
+    while (values[i] instanceof WhitespaceToken) {
+      i++
+    }
+  }
+
+  const integer = (value, signed) =>
+    value instanceof NumberToken
+    && value.type === 'integer'
+    && (
+      signed === undefined
+      || signed === ['+', '-'].includes(value.repr[0])
+    )
+
+  skipWhitespace()
+
+  let first = values[i++]
+  let plus = false
+
+  // A + sign can only come right before an n-ident
+  if (
+    first instanceof DelimToken
+    && first.value === '+'
+  ) {
+    plus = true
+    first = values[i++]
+  }
+
+  let a = 0
+  let b = 0
+  let rest
+
+  if (
+    first instanceof IdentToken
+    || (
+      !plus
+      && first instanceof DimensionToken
+      && first.type === 'integer'
+    )
+  ) {
+    let name = asciiLowercase(first instanceof IdentToken ? first.value : first.unit)
+    a = first instanceof IdentToken ? 1 : first.value
+
+    if (
+      first instanceof IdentToken
+      && !plus
+      && (name === 'odd' || name === 'even')
+    ) {
+      a = 2
+      b = name === 'odd' ? 1 : 0
+      name = ''
+    }
+
+    else if (
+      first instanceof IdentToken
+      && !plus
+      && name[0] === '-'
+    ) {
+      a = -1
+      name = name.slice(1)
+    }
+
+    if (name === 'n') {
+      rest = 'signed'
+    }
+
+    else if (name === 'n-') {
+      rest = 'signless'
+    }
+
+    else if (/^n-[0-9]+$/.test(name)) {
+      b = -Number(name.slice(2))
+    }
+
+    else if (name !== '') {
+      return invalid()
+    }
+  }
+
+  else if (
+    !plus
+    && integer(first)
+  ) {
+    b = first.value
+  }
+
+  else {
+    return invalid()
+  }
+
+  // n can be followed by a signed integer, or by + or - and a signless one,
+  // and n- by a signless integer
+  skipWhitespace()
+
+  if (
+    rest === 'signed'
+    && integer(values[i], true)
+  ) {
+    b = values[i++].value
+  }
+
+  else if (
+    rest === 'signed'
+    && values[i] instanceof DelimToken
+    && (values[i].value === '+' || values[i].value === '-')
+  ) {
+    const sign = values[i++].value === '-' ? -1 : 1
+    skipWhitespace()
+
+    if (!integer(values[i], false)) {
+      return invalid()
+    }
+
+    b = sign * values[i++].value
+  }
+
+  else if (rest === 'signless') {
+    if (!integer(values[i], false)) {
+      return invalid()
+    }
+
+    b = -values[i++].value
+  }
+
+  skipWhitespace()
+
+  if (i < values.length) {
+    return invalid()
+  }
+
+  // Adding 0 turns -0, as in -0n-0, into 0
+  return {a: a + 0, b: b + 0}
+}
+
+// https://drafts.csswg.org/cssom/#serialize-an-anb-value
+export const serializeAnPlusB = ({a = 0, b = 0} = {}) => {
+  if (a === 0) {
+    return String(b)
+  }
+
+  const n = a === 1
+    ? 'n'
+    : a === -1
+      ? '-n'
+      : a + 'n'
+
+  if (0 < b) {
+    return `${n}+${b}`
+  }
+
+  if (b < 0) {
+    return `${n}${b}`
+  }
+
+  return n
+}
+
+const isDelim = (token, value = '') =>
+  token instanceof DelimToken
+  && token.value === value
+
+// Split a list of component values at its top-level commas
+const splitOnCommas = (values = []) => {
+  const lists = [[]]
+
+  for (const value of values) {
+    if (value instanceof CommaToken) {
+      lists.push([])
+    }
+
+    else {
+      lists[lists.length - 1].push(value)
+    }
+  }
+
+  return lists
+}
+
+// Leave out the whitespace and comments at the start and end of a list
+const trimValues = (values = []) => {
+  const blank = value =>
+    value instanceof WhitespaceToken
+    || value instanceof CommentToken
+
+  let start = 0
+  let end = values.length
+
+  while (start < end && blank(values[start])) {
+    start++
+  }
+
+  while (start < end && blank(values[end - 1])) {
+    end--
+  }
+
+  return values.slice(start, end)
+}
+
+// The range of a diagnostic about a list of tokens and nodes
+const rangeOf = (values = []) => {
+  const first = values.find(value => value.start) || {}
+  const last = [...values].reverse().find(value => value.end) || {}
+
+  return {start: first.start, end: last.end}
+}
+
+// https://drafts.csswg.org/css-syntax/#urange-syntax
+// Takes a string or a list of component values, like the value of a
+// unicode-range descriptor, and returns a list of {start, end} code point
+// ranges, or the diagnostic of the first range that isn't valid
+export const parseUnicodeRange = (input = [], options = {}) => {
+  const values = typeof input === 'string'
+    ? parseAListOfComponentValues(input, options)
+    : input
+  const ranges = []
+  let firstError
+
+  for (const list of splitOnCommas(values)) {
+    const range = consumeAUnicodeRange(trimValues(list), options)
+
+    if (range.code) {
+      firstError = firstError || range
+    }
+
+    else {
+      ranges.push(range)
+    }
+  }
+
+  return firstError || ranges
+}
+
+const consumeAUnicodeRange = (values = [], options = {}) => {
+  const invalid = (message = 'Expected a unicode range like U+0025-00FF.') =>
+    reportError(options, 'invalid-urange', message, rangeOf(values))
+
+  const [u, ...rest] = values
+  const [first, second] = rest
+
+  const questionMarks = from =>
+    rest.slice(from).every(token => isDelim(token, '?'))
+
+  // The tokens the tokenizer makes from the text after the u
+  if (
+    !(u instanceof IdentToken && u.ASCIIMatch('u'))
+    || !(
+      (isDelim(first, '+') && second instanceof IdentToken && questionMarks(2))
+      || (isDelim(first, '+') && isDelim(second, '?') && questionMarks(2))
+      || (first instanceof DimensionToken && questionMarks(1))
+      || (first instanceof NumberToken && questionMarks(1))
+      || (
+        first instanceof NumberToken
+        && (second instanceof DimensionToken || second instanceof NumberToken)
+        && rest.length === 2
+      )
+    )
+  ) {
+    return invalid()
+  }
+
+  // are read again from their text
+  const text = rest
+    .map(token =>
+      token instanceof DimensionToken
+        ? token.repr + token.unit
+        : token instanceof NumberToken
+          ? token.repr
+          : token.value
+    )
+    .join('')
+
+  const [, digits, marks, tail] = /^\+([0-9a-f]*)(\?*)(.*)$/i.exec(text) || []
+
+  if (
+    digits === undefined
+    || digits.length + marks.length === 0
+    || 6 < digits.length + marks.length
+  ) {
+    return invalid()
+  }
+
+  let start
+  let end
+
+  if (marks) {
+    if (tail) {
+      return invalid()
+    }
+
+    start = parseInt(digits + '0'.repeat(marks.length), 16)
+    end = parseInt(digits + 'F'.repeat(marks.length), 16)
+  }
+
+  else {
+    const [match, last] = /^(?:-([0-9a-f]{1,6}))?$/i.exec(tail) || []
+
+    if (match === undefined) {
+      return invalid()
+    }
+
+    start = parseInt(digits, 16)
+    end = last === undefined ? start : parseInt(last, 16)
+  }
+
+  if (0x10ffff < end) {
+    return invalid('A unicode range can not go past U+10FFFF.')
+  }
+
+  if (end < start) {
+    return invalid('A unicode range can not end before it starts.')
+  }
+
+  return {start, end}
+}
+
+// Write out one {start, end} code point range, or a list of them
+export const serializeUnicodeRange = (ranges = []) => {
+  if (!Array.isArray(ranges)) {
+    ranges = [ranges]
+  }
+
+  return ranges
+    .map(({start = 0, end = start}) => {
+      const hex = code => code.toString(16).toUpperCase()
+
+      return start === end
+        ? `U+${hex(start)}`
+        : `U+${hex(start)}-${hex(end)}`
+    })
+    .join(', ')
+}
+
+// Selectors
+// Parsed selectors are plain objects with a type:
+// - a selector list is an array of complex selectors
+// - complex: a list of compound selectors, each with the combinator before it
+//   (' ', '>', '+', '~' or '||'), which is null for the first one unless the
+//   selector is relative, like the ones in :has()
+// - compound: a list of simple selectors
+// - type and universal, with a namespace prefix that is null when there is
+//   none, '' for |a and '*' for *|a
+// - id, class, attribute, nesting (&), pseudo-class and pseudo-element
+// Functional pseudo-classes and pseudo-elements have selectors, an An+B
+// expression (anb), or for the ones this parser doesn't know, the component
+// values of their argument (value).
+
+class InvalidSelectorError extends Error {
+  constructor(message = '', values = []) {
+    super(message)
+
+    this.range = rangeOf(values)
+  }
+}
+
+const withoutComments = (values = []) =>
+  values.filter(value => !(value instanceof CommentToken))
+
+const combinatorOf = token => {
+  if (token instanceof ColumnToken) {
+    return '||'
+  }
+
+  if (
+    token instanceof DelimToken
+    && ['>', '+', '~'].includes(token.value)
+  ) {
+    return token.value
+  }
+
+  return null
+}
+
+// The name of a type selector or attribute, or of a namespace
+const qualifiedNamePart = (token, universal = true) => {
+  if (token instanceof IdentToken) {
+    return token.value
+  }
+
+  if (universal && isDelim(token, '*')) {
+    return '*'
+  }
+
+  return null
+}
+
+// Read an optional namespace prefix and a name, returning the number
+// of values they take up
+const consumeAQualifiedName = (values = [], i = 0, universal = true) => {
+  const first = qualifiedNamePart(values[i])
+
+  if (
+    first !== null
+    && isDelim(values[i + 1], '|')
+    && qualifiedNamePart(values[i + 2], universal) !== null
+  ) {
+    return {namespace: first, name: qualifiedNamePart(values[i + 2], universal), length: 3}
+  }
+
+  if (
+    isDelim(values[i], '|')
+    && qualifiedNamePart(values[i + 1], universal) !== null
+  ) {
+    return {namespace: '', name: qualifiedNamePart(values[i + 1], universal), length: 2}
+  }
+
+  if (qualifiedNamePart(values[i], universal) !== null) {
+    return {namespace: null, name: qualifiedNamePart(values[i], universal), length: 1}
+  }
+
+  return null
+}
+
+// https://drafts.csswg.org/selectors-4/#typedef-complex-selector-list
+// The container is the function a list is the argument of, which errors
+// about a missing selector point at when the list is empty
+const consumeASelectorList = (values = [], {forgiving = false, relative = false} = {}, container) => {
+  const selectors = []
+
+  for (const list of splitOnCommas(values)) {
+    try {
+      const selector = trimValues(list)
+
+      if (selector.length === 0) {
+        throw new InvalidSelectorError('Expected a selector.', values.length ? values : [container].filter(Boolean))
+      }
+
+      const complex = consumeAComplexSelector(selector, relative)
+
+      // The selectors a pseudo-class takes match elements, which
+      // pseudo-elements aren't
+      if (container) {
+        checkNoPseudoElement(complex.compounds[complex.compounds.length - 1], container, selector)
+      }
+
+      selectors.push(complex)
+    }
+
+    catch (error) {
+      // A forgiving selector list leaves out the selectors that are invalid
+      if (!(forgiving && error instanceof InvalidSelectorError)) {
+        throw error
+      }
+    }
+  }
+
+  return selectors
+}
+
+const checkNoPseudoElement = (compound = {}, container, values = []) => {
+  const pseudoElement = compound.selectors.find(selector => selector.type === 'pseudo-element')
+
+  if (pseudoElement) {
+    throw new InvalidSelectorError(`The ::${pseudoElement.name} pseudo-element can't be in the argument of ${asciiLowercase(container.name)}().`, values)
+  }
+}
+
+// https://drafts.csswg.org/selectors-4/#typedef-complex-selector
+const consumeAComplexSelector = (values = [], relative = false) => {
+  const compounds = []
+  let combinator = null
+  let i = 0
+
+  const skipWhitespace = () => {
+    const from = i
+
+    while (values[i] instanceof WhitespaceToken) {
+      i++
+    }
+
+    return from < i
+  }
+
+  if (
+    relative
+    && combinatorOf(values[0])
+  ) {
+    combinator = combinatorOf(values[0])
+    i++
+    skipWhitespace()
+  }
+
+  while (true) {
+    const compound = consumeACompoundSelector(values, i)
+    const from = i
+
+    if (!compound) {
+      throw new InvalidSelectorError(
+        values[i]
+          ? `Unexpected "${values[i].toSource()}" in a selector.`
+          : 'Expected a selector.',
+        [values[i] || values[values.length - 1]].filter(Boolean)
+      )
+    }
+
+    compound.combinator = combinator
+    compounds.push(compound)
+    i = compound.end
+    delete compound.end
+
+    const end = i
+
+    const whitespace = skipWhitespace()
+
+    if (values.length <= i) {
+      return {type: 'complex', compounds}
+    }
+
+    // A pseudo-element can only be in the last compound selector
+    const pseudoElement = compound.selectors.find(selector => selector.type === 'pseudo-element')
+
+    if (pseudoElement) {
+      throw new InvalidSelectorError(`The ::${pseudoElement.name} pseudo-element can only be at the end of a selector.`, values.slice(from, end))
+    }
+
+    if (combinatorOf(values[i])) {
+      combinator = combinatorOf(values[i++])
+      skipWhitespace()
+    }
+
+    else if (whitespace) {
+      combinator = ' '
+    }
+
+    else {
+      throw new InvalidSelectorError(`Unexpected "${values[i].toSource()}" in a selector.`, [values[i]])
+    }
+  }
+}
+
+// https://drafts.csswg.org/selectors-4/#typedef-compound-selector
+const consumeACompoundSelector = (values = [], i = 0) => {
+  const selectors = []
+  const typeSelector = consumeAQualifiedName(values, i)
+  let pseudoElement = null
+
+  if (typeSelector) {
+    const {namespace, name, length} = typeSelector
+
+    selectors.push(
+      name === '*'
+        ? {type: 'universal', namespace}
+        : {type: 'type', namespace, name}
+    )
+
+    i += length
+  }
+
+  while (i < values.length) {
+    const token = values[i]
+    const from = i
+
+    if (token instanceof HashToken) {
+      if (token.type !== 'id') {
+        throw new InvalidSelectorError(`"#${token.value}" is not a valid ID selector.`, [token])
+      }
+
+      selectors.push({type: 'id', name: token.value})
+      i++
+    }
+
+    else if (
+      isDelim(token, '.')
+      && values[i + 1] instanceof IdentToken
+    ) {
+      selectors.push({type: 'class', name: values[i + 1].value})
+      i += 2
+    }
+
+    else if (isDelim(token, '&')) {
+      selectors.push({type: 'nesting'})
+      i++
+    }
+
+    else if (
+      token instanceof SimpleBlock
+      && token.name === '['
+    ) {
+      selectors.push(consumeAnAttributeSelector(token))
+      i++
+    }
+
+    else if (
+      token instanceof ColonToken
+      && values[i + 1] instanceof ColonToken
+    ) {
+      selectors.push(consumeAPseudoSelector('pseudo-element', values[i + 2], token))
+      i += 3
+    }
+
+    else if (token instanceof ColonToken) {
+      selectors.push(consumeAPseudoSelector('pseudo-class', values[i + 1], token))
+      i += 2
+    }
+
+    else {
+      break
+    }
+
+    const selector = selectors[selectors.length - 1]
+
+    if (
+      pseudoElement
+      && !allowedAfter(pseudoElement, selector)
+    ) {
+      throw new InvalidSelectorError(`Unexpected "${flattenTokens(values.slice(from, i))}" after the ::${pseudoElement.name} pseudo-element.`, values.slice(from, i))
+    }
+
+    if (selector.type === 'pseudo-element') {
+      pseudoElement = selector
+    }
+  }
+
+  if (selectors.length === 0) {
+    return null
+  }
+
+  return {type: 'compound', combinator: null, selectors, end: i}
+}
+
+const attributeMatchers = ['=', '~=', '|=', '^=', '$=', '*=']
+
+// https://drafts.csswg.org/selectors-4/#typedef-attribute-selector
+const consumeAnAttributeSelector = block => {
+  const values = trimValues(withoutComments(block.value))
+  const name = consumeAQualifiedName(values, 0, false)
+
+  if (!name) {
+    throw new InvalidSelectorError('Expected an attribute name.', [block])
+  }
+
+  const selector = {
+    type: 'attribute',
+    namespace: name.namespace,
+    name: name.name,
+    matcher: null,
+    value: null,
+    modifier: null
+  }
+
+  let i = name.length
+
+  const skipWhitespace = () => {
+    while (values[i] instanceof WhitespaceToken) {
+      i++
+    }
+  }
+
+  skipWhitespace()
+
+  if (i < values.length) {
+    const matcher = values[i] instanceof DelimToken
+      ? values[i].value
+      : values[i].tokenType
+
+    if (!attributeMatchers.includes(matcher)) {
+      throw new InvalidSelectorError(`Unexpected "${values[i].toSource()}" in an attribute selector.`, [values[i]])
+    }
+
+    i++
+    skipWhitespace()
+
+    if (
+      !(
+        values[i] instanceof IdentToken
+        || values[i] instanceof StringToken
+      )
+    ) {
+      throw new InvalidSelectorError('Expected an ident or a string as the value of an attribute selector.', [values[i] || block])
+    }
+
+    selector.matcher = matcher
+    selector.value = values[i++].value
+    skipWhitespace()
+
+    if (
+      values[i] instanceof IdentToken
+      && (values[i].ASCIIMatch('i') || values[i].ASCIIMatch('s'))
+    ) {
+      selector.modifier = asciiLowercase(values[i++].value)
+    }
+
+    if (i < values.length) {
+      throw new InvalidSelectorError(`Unexpected "${values[i].toSource()}" in an attribute selector.`, [values[i]])
+    }
+  }
+
+  return selector
+}
+
+// Pseudo-elements from CSS 2 can be written with one colon
+const legacyPseudoElements = ['before', 'after', 'first-line', 'first-letter']
+
+// Functional pseudo-classes and pseudo-elements that take selectors
+const pseudoSelectorArguments = {
+  'pseudo-class': {
+    is: {forgiving: true},
+    where: {forgiving: true},
+    not: {},
+    has: {relative: true},
+    host: {compound: true},
+    'host-context': {compound: true}
+  },
+  'pseudo-element': {
+    slotted: {compound: true}
+  }
+}
+
+const nthPseudoClasses = [
+  'nth-child',
+  'nth-last-child',
+  'nth-of-type',
+  'nth-last-of-type',
+  'nth-col',
+  'nth-last-col'
+]
+
+// Tree-abiding pseudo-elements, which can come after some others
+const treeAbidingPseudoElements = ['before', 'after', 'marker', 'placeholder', 'file-selector-button']
+
+// The pseudo-elements that can come right after another one
+// https://drafts.csswg.org/css-pseudo-4/#treelike
+const pseudoElementsAfter = {
+  before: ['marker'],
+  after: ['marker'],
+  part: treeAbidingPseudoElements,
+  slotted: treeAbidingPseudoElements
+}
+
+// The pseudo-classes that can come after any pseudo-element
+// https://drafts.csswg.org/selectors-4/#useraction-pseudos
+const userActionPseudoClasses = ['hover', 'active', 'focus', 'focus-visible', 'focus-within']
+
+// https://drafts.csswg.org/selectors-4/#structural-pseudos
+const structuralPseudoClasses = [
+  'first-child',
+  'last-child',
+  'only-child',
+  'first-of-type',
+  'last-of-type',
+  'only-of-type',
+  'nth-child',
+  'nth-last-child',
+  'nth-of-type',
+  'nth-last-of-type'
+]
+
+// Whether a simple selector can come after a pseudo-element in a compound
+// selector: only other pseudo-elements and pseudo-classes defined to come
+// after it can. User action pseudo-classes can come after any of them,
+// ::part() takes the pseudo-classes that aren't structural, and
+// vendor-prefixed pseudo-elements, like ::-webkit-scrollbar, any
+// pseudo-class
+// https://drafts.csswg.org/selectors-4/#pseudo-element-states
+const allowedAfter = (pseudoElement = {}, selector = {}) => {
+  if (selector.type === 'pseudo-element') {
+    return (pseudoElementsAfter[pseudoElement.name] || []).includes(selector.name)
+  }
+
+  if (selector.type === 'pseudo-class') {
+    return userActionPseudoClasses.includes(selector.name)
+      || (
+        pseudoElement.name === 'part'
+          ? !structuralPseudoClasses.includes(selector.name)
+          : pseudoElement.name[0] === '-'
+      )
+  }
+
+  return false
+}
+
+// https://drafts.csswg.org/selectors-4/#typedef-pseudo-class-selector
+const consumeAPseudoSelector = (type = '', token, colon) => {
+  if (token instanceof IdentToken) {
+    const name = asciiLowercase(token.value)
+
+    return type === 'pseudo-class' && legacyPseudoElements.includes(name)
+      ? {type: 'pseudo-element', name}
+      : {type, name}
+  }
+
+  if (!(token instanceof Func)) {
+    throw new InvalidSelectorError(`Expected the name of a ${type} after the colon.`, [colon, token].filter(Boolean))
+  }
+
+  const name = asciiLowercase(token.name)
+  const value = trimValues(withoutComments(token.value))
+  const selector = {type, name}
+  const argument = pseudoSelectorArguments[type][name]
+
+  if (argument && argument.compound) {
+    const compound = consumeACompoundSelector(value)
+
+    if (!compound || compound.end < value.length) {
+      throw new InvalidSelectorError(`Expected a compound selector in :${name}().`, [token])
+    }
+
+    checkNoPseudoElement(compound, token, value)
+    delete compound.end
+    selector.selectors = [{type: 'complex', compounds: [compound]}]
+  }
+
+  else if (argument) {
+    selector.selectors = consumeASelectorList(value, argument, token)
+  }
+
+  else if (
+    type === 'pseudo-class'
+    && nthPseudoClasses.includes(name)
+  ) {
+    // :nth-child() and :nth-last-child() can filter by a selector list
+    const of = name === 'nth-child' || name === 'nth-last-child'
+      ? value.findIndex(item => item instanceof IdentToken && item.ASCIIMatch('of'))
+      : -1
+    const anb = parseAnPlusB(of === -1 ? value : value.slice(0, of))
+
+    if (anb.code) {
+      throw new InvalidSelectorError(`Expected an An+B expression in :${name}().`, [token])
+    }
+
+    selector.anb = anb
+
+    if (of !== -1) {
+      selector.selectors = consumeASelectorList(trimValues(value.slice(of + 1)), {}, token)
+    }
+  }
+
+  else {
+    selector.value = value
+  }
+
+  return selector
+}
+
+// https://drafts.csswg.org/selectors-4/#parse-selector
+// Takes a string or a list of component values, like the prelude of a
+// qualified rule, and returns a selector list, or a diagnostic if it is
+// invalid. With the relative option, selectors can start with a combinator,
+// like the ones in the prelude of a nested rule can.
+export const parseSelectorList = (input = [], options = {}) => {
+  const values = typeof input === 'string'
+    ? parseAListOfComponentValues(input, options)
+    : input
+
+  try {
+    return consumeASelectorList(withoutComments(values), {relative: options.relative})
+  }
+
+  catch (error) {
+    if (error instanceof InvalidSelectorError) {
+      return reportError(options, 'invalid-selector', error.message, error.range)
+    }
+
+    throw error
+  }
+}
+
+const namespacePrefix = (namespace = null) => {
+  if (namespace === null) {
+    return ''
+  }
+
+  if (namespace === '*') {
+    return '*|'
+  }
+
+  return escapeIdent(namespace) + '|'
+}
+
+// https://drafts.csswg.org/cssom/#serializing-selectors
+// Write out a selector list, or any selector in it
+export const serializeSelector = (selector = []) => {
+  if (Array.isArray(selector)) {
+    return selector.map(serializeSelector).join(', ')
+  }
+
+  const {type} = selector
+
+  if (type === 'complex') {
+    return selector.compounds
+      .map((compound, i) => {
+        const source = serializeSelector(compound)
+
+        if (!compound.combinator) {
+          return source
+        }
+
+        if (compound.combinator === ' ') {
+          return ' ' + source
+        }
+
+        return `${i ? ' ' : ''}${compound.combinator} ${source}`
+      })
+      .join('')
+  }
+
+  if (type === 'compound') {
+    return selector.selectors.map(serializeSelector).join('')
+  }
+
+  if (type === 'type') {
+    return namespacePrefix(selector.namespace) + escapeIdent(selector.name)
+  }
+
+  if (type === 'universal') {
+    return namespacePrefix(selector.namespace) + '*'
+  }
+
+  if (type === 'id') {
+    return '#' + escapeIdent(selector.name)
+  }
+
+  if (type === 'class') {
+    return '.' + escapeIdent(selector.name)
+  }
+
+  if (type === 'nesting') {
+    return '&'
+  }
+
+  if (type === 'attribute') {
+    const value = selector.matcher
+      ? `${selector.matcher}"${escapeString(selector.value)}"`
+      : ''
+    const modifier = selector.modifier
+      ? ' ' + selector.modifier
+      : ''
+
+    return `[${namespacePrefix(selector.namespace)}${escapeIdent(selector.name)}${value}${modifier}]`
+  }
+
+  const colons = type === 'pseudo-element' ? '::' : ':'
+  let argument
+
+  if (selector.anb) {
+    argument = serializeAnPlusB(selector.anb)
+
+    if (selector.selectors) {
+      argument += ' of ' + serializeSelector(selector.selectors)
+    }
+  }
+
+  else if (selector.selectors) {
+    argument = serializeSelector(selector.selectors)
+  }
+
+  else if (selector.value) {
+    argument = flattenTokens(selector.value)
+  }
+
+  return argument === undefined
+    ? colons + escapeIdent(selector.name)
+    : `${colons}${escapeIdent(selector.name)}(${argument})`
+}
+
+// https://drafts.csswg.org/selectors-4/#specificity-rules
+const compareSpecificity = (x = [], y = []) =>
+  x[0] - y[0]
+  || x[1] - y[1]
+  || x[2] - y[2]
+
+const addSpecificity = (x = [], y = []) =>
+  x.map((count, i) => count + y[i])
+
+const mostSpecific = (specificities = []) =>
+  specificities.reduce(
+    (max, next) => compareSpecificity(next, max) > 0 ? next : max,
+    [0, 0, 0]
+  )
+
+const maxSpecificity = (selectors = [], nesting) =>
+  mostSpecific(selectors.map(selector => specificityOf(selector, nesting)))
+
+const specificityOf = (selector = {}, nesting = [0, 0, 0]) => {
+  const {type, name} = selector
+
+  if (
+    type === 'complex'
+    || type === 'compound'
+  ) {
+    return (selector.compounds || selector.selectors)
+      .map(part => specificityOf(part, nesting))
+      .reduce(addSpecificity, [0, 0, 0])
+  }
+
+  if (type === 'id') {
+    return [1, 0, 0]
+  }
+
+  if (
+    type === 'class'
+    || type === 'attribute'
+  ) {
+    return [0, 1, 0]
+  }
+
+  if (type === 'type') {
+    return [0, 0, 1]
+  }
+
+  if (type === 'nesting') {
+    return nesting
+  }
+
+  if (type === 'pseudo-class') {
+    if (name === 'where') {
+      return [0, 0, 0]
+    }
+
+    // :is(), :not() and :has() count as much as their most specific argument
+    if (['is', 'not', 'has'].includes(name)) {
+      return maxSpecificity(selector.selectors, nesting)
+    }
+
+    return addSpecificity([0, 1, 0], maxSpecificity(selector.selectors, nesting))
+  }
+
+  if (type === 'pseudo-element') {
+    return addSpecificity([0, 0, 1], maxSpecificity(selector.selectors, nesting))
+  }
+
+  return [0, 0, 0]
+}
+
+const containsNesting = selector =>
+  selector.type === 'nesting'
+  || [...selector.compounds || [], ...selector.selectors || []].some(containsNesting)
+
+// The specificity of the most specific selector of the rule a qualified
+// rule is nested in, once parents are linked, or null when it isn't nested
+const nestingSpecificity = rule => {
+  const parent = rule.parent && rule.parent.closest('QUALIFIED-RULE')
+
+  if (!parent) {
+    return null
+  }
+
+  const specificities = specificity(parent)
+
+  return specificities.code
+    ? [0, 0, 0]
+    : mostSpecific(specificities)
+}
+
+// Takes a complex selector from parseSelectorList(), and returns its
+// specificity as [a, b, c]. For a selector list, a string or a qualified
+// rule, it returns the specificity of each of their selectors, or the
+// diagnostic if they are invalid.
+// Nested selectors get their specificity from the parent option (a selector
+// list or a string) or, for a qualified rule once parents are linked, from
+// the rule it is nested in. The nesting selector counts as much as the most
+// specific parent selector, and so does a selector without one, which is
+// relative to the parent as if it started with &.
+export const specificity = (selector, options = {}) => {
+  let nesting = null
+
+  if (options.parent) {
+    const parent = typeof options.parent === 'string'
+      ? parseSelectorList(options.parent, {relative: true})
+      : options.parent
+
+    nesting = parent.code ? [0, 0, 0] : maxSpecificity(parent)
+  }
+
+  if (selector instanceof QualifiedRule) {
+    nesting = nesting || nestingSpecificity(selector)
+    selector = selector.prelude
+  }
+
+  // Strings and component values are parsed, selectors are used as they are
+  if (
+    typeof selector === 'string'
+    || (
+      Array.isArray(selector)
+      && !selector.every(item => item.type === 'complex')
+    )
+  ) {
+    selector = parseSelectorList(selector, {...options, relative: options.relative || nesting !== null})
+
+    if (selector.code) {
+      return selector
+    }
+  }
+
+  const specificityOfComplex = complex =>
+    nesting === null || containsNesting(complex)
+      ? specificityOf(complex, nesting || undefined)
+      : addSpecificity(specificityOf(complex, nesting), nesting)
+
+  return Array.isArray(selector)
+    ? selector.map(specificityOfComplex)
+    : specificityOfComplex(selector)
+}
+
+// Selector matching
+const isElement = node =>
+  node !== null
+  && typeof node === 'object'
+  && typeof node.tagName === 'string'
+
+// The top of the tree an element is in, as far as its parent property (if it
+// has one) leads
+const topmostOf = element => {
+  while (element && isElement(element.parent)) {
+    element = element.parent
+  }
+
+  return element
+}
+
+// The adapter for a tree of plain objects, each element with a tagName, an
+// object of attributes and a list of children, where strings are text.
+// Parents are found once, by going through the tree from its root.
+export const createElementAdapter = root => {
+  const parents = new WeakMap
+  const stack = [root]
+
+  while (stack.length) {
+    const node = stack.pop()
+
+    for (const child of (node && node.children) || []) {
+      if (isElement(child)) {
+        if (isElement(node)) {
+          parents.set(child, node)
+        }
+
+        stack.push(child)
+      }
+    }
+  }
+
+  return {
+    getName: element => element.tagName,
+    getAttribute: (element, name) => {
+      const attributes = element.attributes || {}
+      const key = Object.prototype.hasOwnProperty.call(attributes, name)
+        ? name
+        : Object.keys(attributes).find(key => asciiLowercase(key) === asciiLowercase(name))
+      const value = key === undefined ? undefined : attributes[key]
+
+      if (
+        value === undefined
+        || value === null
+        || value === false
+      ) {
+        return null
+      }
+
+      return value === true ? '' : String(value)
+    },
+    getParent: element => parents.get(element) || null,
+    getChildren: element => (element.children || []).filter(isElement),
+    isEmpty: element => !(element.children || []).some(child =>
+      isElement(child)
+      || (typeof child === 'string' && child !== '')
+    )
+  }
+}
+
+// https://drafts.csswg.org/selectors-4/#attribute-selectors
+const matchesAttributeValue = (actual = '', {matcher, value, modifier}) => {
+  if (modifier === 'i') {
+    actual = asciiLowercase(actual)
+    value = asciiLowercase(value)
+  }
+
+  if (matcher === '=') {
+    return actual === value
+  }
+
+  if (matcher === '~=') {
+    return value !== ''
+      && !/[ \t\n\f\r]/.test(value)
+      && actual.split(/[ \t\n\f\r]+/).includes(value)
+  }
+
+  if (matcher === '|=') {
+    return actual === value
+      || actual.startsWith(`${value}-`)
+  }
+
+  if (matcher === '^=') {
+    return value !== '' && actual.startsWith(value)
+  }
+
+  if (matcher === '$=') {
+    return value !== '' && actual.endsWith(value)
+  }
+
+  if (matcher === '*=') {
+    return value !== '' && actual.includes(value)
+  }
+
+  return true
+}
+
+// Plain elements have no namespace, so only selectors for any namespace or
+// for no namespace can match them
+const matchesNamespace = ({namespace}) =>
+  namespace === null
+  || namespace === '*'
+  || namespace === ''
+
+// An element is the anb-th one of its siblings when there is an n >= 0 for
+// which a*n + b is its position, counted from 1
+const matchesAnPlusB = ({a, b}, position) =>
+  a === 0
+    ? position === b
+    : (position - b) / a >= 0 && (position - b) % a === 0
+
+const siblingsOf = (element, {adapter}) => {
+  const parent = adapter.getParent(element)
+
+  return parent
+    ? adapter.getChildren(parent)
+    : [element]
+}
+
+const sameName = (element, other, {adapter}) =>
+  asciiLowercase(adapter.getName(element)) === asciiLowercase(adapter.getName(other))
+
+// The position of an element among its siblings for the nth and the first,
+// last and only pseudo-classes
+const matchesPosition = (element, selector, context) => {
+  const {name} = selector
+  let siblings = siblingsOf(element, context)
+
+  if (name.endsWith('of-type')) {
+    siblings = siblings.filter(sibling => sameName(element, sibling, context))
+  }
+
+  if (selector.selectors) {
+    if (!matchesAny(element, selector.selectors, context)) {
+      return false
+    }
+
+    siblings = siblings.filter(sibling => matchesAny(sibling, selector.selectors, context))
+  }
+
+  const index = siblings.indexOf(element)
+
+  if (name.startsWith('first')) {
+    return index === 0
+  }
+
+  if (name.startsWith('last')) {
+    return index === siblings.length - 1
+  }
+
+  if (name.startsWith('only')) {
+    return siblings.length === 1
+  }
+
+  return name.startsWith('nth-last')
+    ? matchesAnPlusB(selector.anb, siblings.length - index)
+    : matchesAnPlusB(selector.anb, index + 1)
+}
+
+// The elements after an element, and everything inside them, which are the
+// only ones a relative selector in :has() can match
+const elementsAfter = (element, {adapter}) => {
+  const siblings = siblingsOf(element, {adapter})
+  const elements = []
+  const stack = [
+    ...adapter.getChildren(element),
+    ...siblings.slice(siblings.indexOf(element) + 1)
+  ].reverse()
+
+  while (stack.length) {
+    const next = stack.pop()
+
+    elements.push(next)
+    stack.push(...[...adapter.getChildren(next)].reverse())
+  }
+
+  return elements
+}
+
+// https://drafts.csswg.org/selectors-4/#pseudo-classes
+// Pseudo-classes for user actions and other states, like :hover, never match
+// an element of a static tree
+const matchesPseudoClass = (element, selector, context) => {
+  const {name} = selector
+  const {adapter} = context
+
+  if (
+    name === 'is'
+    || name === 'where'
+  ) {
+    return matchesAny(element, selector.selectors, context)
+  }
+
+  if (name === 'not') {
+    return !matchesAny(element, selector.selectors, context)
+  }
+
+  if (name === 'has') {
+    const anchored = {...context, anchor: other => other === element}
+
+    return elementsAfter(element, context).some(other =>
+      selector.selectors.some(relative => matchesComplex(other, relative, anchored))
+    )
+  }
+
+  if (name === 'root') {
+    return adapter.getParent(element) === null
+  }
+
+  if (name === 'scope') {
+    return matchesScope(element, context)
+  }
+
+  if (name === 'empty') {
+    return adapter.isEmpty
+      ? adapter.isEmpty(element)
+      : adapter.getChildren(element).length === 0
+  }
+
+  if (structuralPseudoClasses.includes(name)) {
+    return matchesPosition(element, selector, context)
+  }
+
+  return false
+}
+
+const matchesScope = (element, {adapter, scope}) =>
+  scope
+    ? element === scope
+    : adapter.getParent(element) === null
+
+// https://drafts.csswg.org/selectors-4/#simple
+const matchesSimpleSelector = (element, selector, context) => {
+  const {type, name} = selector
+  const {adapter} = context
+
+  if (type === 'type') {
+    return matchesNamespace(selector)
+      && asciiLowercase(adapter.getName(element)) === asciiLowercase(name)
+  }
+
+  if (type === 'universal') {
+    return matchesNamespace(selector)
+  }
+
+  if (type === 'id') {
+    return adapter.getAttribute(element, 'id') === name
+  }
+
+  if (type === 'class') {
+    return (adapter.getAttribute(element, 'class') || '')
+      .split(/[ \t\n\f\r]+/)
+      .includes(name)
+  }
+
+  if (type === 'attribute') {
+    const value = adapter.getAttribute(element, name)
+
+    return matchesNamespace(selector)
+      && value !== null
+      && matchesAttributeValue(value, selector)
+  }
+
+  // The nesting selector stands for the selectors of the parent rule, or for
+  // the scope when there is no parent rule
+  if (type === 'nesting') {
+    return context.nesting
+      ? context.nesting(element)
+      : matchesScope(element, context)
+  }
+
+  if (type === 'pseudo-class') {
+    return matchesPseudoClass(element, selector, context)
+  }
+
+  // Pseudo-elements aren't elements of the tree
+  return false
+}
+
+// Whether an element related to another by a combinator passes a test
+const someRelated = (element, combinator, {adapter}, test) => {
+  if (combinator === ' ') {
+    for (let parent = adapter.getParent(element); parent; parent = adapter.getParent(parent)) {
+      if (test(parent)) {
+        return true
+      }
+    }
+
+    return false
+  }
+
+  if (combinator === '>') {
+    const parent = adapter.getParent(element)
+
+    return parent !== null && test(parent)
+  }
+
+  if (
+    combinator === '+'
+    || combinator === '~'
+  ) {
+    const siblings = siblingsOf(element, {adapter})
+    const before = siblings.slice(0, siblings.indexOf(element))
+
+    return combinator === '+'
+      ? before.length > 0 && test(before[before.length - 1])
+      : before.some(test)
+  }
+
+  // There are no columns in a tree of elements for ||
+  return false
+}
+
+// Compound selectors are matched from right to left: the last one against
+// the element, and each one before it against the elements the combinator
+// between them leads to. A relative selector starts from the anchor.
+const matchesCompounds = (element, compounds, index, context) => {
+  const {combinator, selectors} = compounds[index]
+
+  if (!selectors.every(selector => matchesSimpleSelector(element, selector, context))) {
+    return false
+  }
+
+  if (index > 0) {
+    return someRelated(element, combinator, context, other =>
+      matchesCompounds(other, compounds, index - 1, context)
+    )
+  }
+
+  if (context.anchor) {
+    return someRelated(element, combinator || ' ', context, context.anchor)
+  }
+
+  return combinator === null
+    || someRelated(element, combinator, context, other => matchesScope(other, context))
+}
+
+const matchesComplex = (element, {compounds}, context) =>
+  matchesCompounds(element, compounds, compounds.length - 1, context)
+
+const matchesAny = (element, selectors = [], context) =>
+  selectors.some(selector => matchesComplex(element, selector, {...context, anchor: undefined}))
+
+// Takes an element, and a selector list, a complex selector from
+// parseSelectorList(), a string or a qualified rule, and returns whether the
+// element matches any of the selectors. An invalid selector matches nothing.
+// Elements are plain objects with a tagName, attributes and children unless
+// an adapter option is given, with getName, getAttribute, getParent,
+// getChildren and, optionally, isEmpty functions. The default adapter is
+// made for the root option, or the topmost ancestor of the element that its
+// parent properties lead to, each time; pass one from
+// createElementAdapter() to match many selectors in the same tree.
+// Nested selectors match elements inside the ones the parent selectors
+// match, like they do in specificity().
+export const matches = (element, selector, options = {}) => {
+  const adapter = options.adapter || createElementAdapter(options.root || topmostOf(element))
+  const context = {adapter, scope: options.scope}
+
+  if (options.parent) {
+    const parent = options.parent
+
+    context.nesting = other => matches(other, parent, {...options, adapter, parent: undefined})
+  }
+
+  if (selector instanceof QualifiedRule) {
+    const parent = selector.parent && selector.parent.closest('QUALIFIED-RULE')
+
+    if (parent && !context.nesting) {
+      context.nesting = other => matches(other, parent, {...options, adapter})
+    }
+
+    selector = selector.prelude
+  }
+
+  return matchesSelector(element, selector, context, options)
+}
+
+const matchesSelector = (element, selector, context, options = {}) => {
+  // Strings and component values are parsed, selectors are used as they are
+  if (
+    typeof selector === 'string'
+    || (
+      Array.isArray(selector)
+      && !selector.every(item => item.type === 'complex')
+    )
+  ) {
+    selector = parseSelectorList(selector, {...options, relative: options.relative || Boolean(context.nesting)})
+
+    if (selector.code) {
+      return false
+    }
+  }
+
+  // A nested selector without & is relative to the parent selectors
+  const matchesNested = complex =>
+    context.nesting && !containsNesting(complex)
+      ? matchesComplex(element, complex, {...context, anchor: context.nesting})
+      : matchesComplex(element, complex, context)
+
+  return Array.isArray(selector)
+    ? selector.some(matchesNested)
+    : matchesNested(selector)
+}
+
+// Whether the rules in the block of an at-rule apply to the elements they
+// match, as in @media, @supports and @container, whose blocks are parsed
+// into rules. The rules of @scope only match inside its scoping root, which
+// is left out.
+const holdsStyleRules = rule =>
+  asciiLowercase(rule.name) !== 'scope'
+  && hasParsedBlock(rule)
+
+// The qualified rules of a stylesheet, a rule or a list of them that match
+// an element, nested rules included, in source order. The tree is left as
+// it is: nested rules are matched by keeping track of the rules around them
+// instead of linking parents.
+export const matchingRules = (root, element, options = {}) => {
+  const adapter = options.adapter || createElementAdapter(options.root || topmostOf(element))
+  const rules = []
+
+  const visit = (nodes = [], nesting) => {
+    for (const node of nodes) {
+      if (node instanceof QualifiedRule) {
+        const context = {adapter, scope: options.scope, nesting}
+
+        if (matchesSelector(element, node.prelude, context, options)) {
+          rules.push(node)
+        }
+
+        if (node.value instanceof SimpleBlock) {
+          visit(node.value.value, other => matchesSelector(other, node.prelude, context, options))
+        }
+      }
+
+      else if (
+        node instanceof AtRule
+        && holdsStyleRules(node)
+      ) {
+        visit(node.value.value, nesting)
+      }
+    }
+  }
+
+  // A rule linked into a tree before is nested in the rules around it
+  const parent = options.parent || (
+    root.parent
+    && root.parent.closest('QUALIFIED-RULE')
+  )
+
+  visit(
+    root instanceof Stylesheet ? root.value : [].concat(root),
+    parent
+      ? other => matches(other, parent, {...options, adapter, parent: undefined})
+      : undefined
+  )
+
+  return rules
+}
+
+// Conditions
+// Media queries, @supports and container queries combine tests in
+// parentheses with not, and and or, in the same way. Parsed conditions are
+// plain objects with a type:
+// - not: the condition it negates
+// - and and or: the list of conditions they combine
+// - the tests of each kind of condition, like the media features of media
+//   queries, and general-enclosed for a function or parentheses they don't
+//   know, which are kept as the component value they are
+
+class InvalidConditionError extends Error {
+  constructor(message = '', values = []) {
+    super(message)
+
+    this.range = rangeOf(values)
+  }
+}
+
+const isKeyword = (value, name = '') =>
+  value instanceof IdentToken
+  && value.ASCIIMatch(name)
+
+const withoutTrivia = (values = []) =>
+  values.filter(value =>
+    !(
+      value instanceof WhitespaceToken
+      || value instanceof CommentToken
+    )
+  )
+
+// https://drafts.csswg.org/mediaqueries-4/#typedef-media-condition
+// Takes the component values of a condition and a function to parse each
+// test in parentheses with. Without the or option, the tests can only be
+// combined with and, like after a media type.
+const consumeACondition = (values = [], consumeATest, {or = true} = {}) => {
+  const items = withoutTrivia(values)
+
+  if (!items.length) {
+    throw new InvalidConditionError('Expected a condition.', values)
+  }
+
+  if (isKeyword(items[0], 'not')) {
+    if (items.length !== 2) {
+      throw new InvalidConditionError('Expected one condition in parentheses after "not".', items)
+    }
+
+    return {type: 'not', condition: consumeATest(items[1])}
+  }
+
+  const conditions = [consumeATest(items[0])]
+  let type = null
+
+  for (let i = 1; i < items.length; i += 2) {
+    const keyword = items[i]
+    const name = keyword instanceof IdentToken
+      ? asciiLowercase(keyword.value)
+      : null
+
+    if (!(name === 'and' || (or && name === 'or'))) {
+      throw new InvalidConditionError(`Unexpected "${keyword.toSource()}" in a condition.`, [keyword])
+    }
+
+    if (type && type !== name) {
+      throw new InvalidConditionError('"and" and "or" can not be mixed without parentheses.', [keyword])
+    }
+
+    if (i + 1 === items.length) {
+      throw new InvalidConditionError(`Expected a condition after "${name}".`, [keyword])
+    }
+
+    type = name
+    conditions.push(consumeATest(items[i + 1]))
+  }
+
+  return type
+    ? {type, conditions}
+    : conditions[0]
+}
+
+// https://drafts.csswg.org/mediaqueries-4/#typedef-general-enclosed
+// A test in parentheses: a condition, or what consumeAFeature() makes of
+// its contents, or a function that consumeAFunction() knows. Anything else
+// in parentheses, or another function, is left for the evaluator.
+const consumeATestInParens = (value, consumeAFeature, consumeAFunction = () => null) => {
+  if (value instanceof SimpleBlock && value.name === '(') {
+    const contents = withoutComments(value.value)
+    const feature = consumeAFeature(contents)
+
+    if (feature) {
+      return feature
+    }
+
+    try {
+      return consumeACondition(contents, item => consumeATestInParens(item, consumeAFeature, consumeAFunction))
+    }
+
+    catch (error) {
+      if (!(error instanceof InvalidConditionError)) {
+        throw error
+      }
+    }
+
+    return {type: 'general-enclosed', value}
+  }
+
+  if (value instanceof Func) {
+    return consumeAFunction(value) || {type: 'general-enclosed', value}
+  }
+
+  throw new InvalidConditionError(`Expected a condition in parentheses instead of "${value.toSource()}".`, [value])
+}
+
+// Write out a condition, with serializeATest() for the tests it combines
+const serializeCondition = (condition = {}, serializeATest) => {
+  const inParens = child =>
+    ['not', 'and', 'or'].includes(child.type)
+      ? `(${serializeCondition(child, serializeATest)})`
+      : serializeATest(child)
+
+  if (condition.type === 'not') {
+    return `not ${inParens(condition.condition)}`
+  }
+
+  if (
+    condition.type === 'and'
+    || condition.type === 'or'
+  ) {
+    return condition.conditions
+      .map(inParens)
+      .join(` ${condition.type} `)
+  }
+
+  return inParens(condition)
+}
+
+// https://drafts.csswg.org/mediaqueries-4/#typedef-mf-value
+// A number, a dimension, an ident, or a ratio like 16 / 9, or null for
+// anything else
+const consumeAFeatureValue = (values = []) => {
+  const items = withoutTrivia(values)
+  const [first, slash, second] = items
+
+  if (items.length === 1) {
+    if (first instanceof NumberToken) {
+      return {type: 'number', value: first.value}
+    }
+
+    if (first instanceof DimensionToken) {
+      return {type: 'dimension', value: first.value, unit: asciiLowercase(first.unit)}
+    }
+
+    if (first instanceof IdentToken) {
+      return {type: 'ident', value: asciiLowercase(first.value)}
+    }
+  }
+
+  if (
+    items.length === 3
+    && first instanceof NumberToken
+    && 0 <= first.value
+    && isDelim(slash, '/')
+    && second instanceof NumberToken
+    && 0 <= second.value
+  ) {
+    return {type: 'ratio', numerator: first.value, denominator: second.value}
+  }
+
+  return null
+}
+
+const serializeFeatureValue = (value = {}) => {
+  if (value.type === 'dimension') {
+    return `${value.value}${escapeIdent(value.unit)}`
+  }
+
+  if (value.type === 'ident') {
+    return escapeIdent(value.value)
+  }
+
+  if (value.type === 'ratio') {
+    return `${value.numerator} / ${value.denominator}`
+  }
+
+  return String(value.value)
+}
+
+// https://drafts.csswg.org/mediaqueries-4/#typedef-media-feature
+// The contents of parentheses as a boolean feature like (color), a plain
+// feature like (min-width: 500px) or a range like (400px <= width < 800px),
+// or null when they are none of them. A range has the comparison and value
+// on the left of the name, on its right, or both.
+const consumeAFeature = (values = []) => {
+  const items = withoutTrivia(values)
+  const [name, colon] = items
+
+  if (
+    items.length === 1
+    && name instanceof IdentToken
+  ) {
+    return {type: 'boolean', name: asciiLowercase(name.value)}
+  }
+
+  if (
+    name instanceof IdentToken
+    && colon instanceof ColonToken
+  ) {
+    const value = consumeAFeatureValue(items.slice(2))
+
+    return value && {type: 'plain', name: asciiLowercase(name.value), value}
+  }
+
+  // The values between the comparisons, which are <, >, =, <= and >=,
+  // without whitespace between the two characters
+  const parts = [[]]
+  const comparisons = []
+
+  for (let i = 0; i < values.length; i++) {
+    const value = values[i]
+
+    if (['<', '>', '='].some(comparison => isDelim(value, comparison))) {
+      let comparison = value.value
+
+      if (comparison !== '=' && isDelim(values[i + 1], '=')) {
+        comparison += values[++i].value
+      }
+
+      comparisons.push(comparison)
+      parts.push([])
+    }
+
+    else {
+      parts[parts.length - 1].push(value)
+    }
+  }
+
+  const nameOf = part => {
+    const items = withoutTrivia(part)
+
+    return items.length === 1 && items[0] instanceof IdentToken
+      ? asciiLowercase(items[0].value)
+      : null
+  }
+
+  if (parts.length === 2) {
+    const [comparison] = comparisons
+    const [before, after] = parts
+    const left = consumeAFeatureValue(before)
+    const right = consumeAFeatureValue(after)
+
+    if (nameOf(before) && right) {
+      return {type: 'range', name: nameOf(before), left: null, right: {comparison, value: right}}
+    }
+
+    if (left && nameOf(after)) {
+      return {type: 'range', name: nameOf(after), left: {value: left, comparison}, right: null}
+    }
+  }
+
+  if (parts.length === 3) {
+    const [before, middle, after] = parts
+    const left = consumeAFeatureValue(before)
+    const right = consumeAFeatureValue(after)
+    const direction = comparison => comparison[0]
+
+    if (
+      left
+      && nameOf(middle)
+      && right
+      && comparisons.every(comparison => comparison !== '=')
+      && direction(comparisons[0]) === direction(comparisons[1])
+    ) {
+      return {
+        type: 'range',
+        name: nameOf(middle),
+        left: {value: left, comparison: comparisons[0]},
+        right: {comparison: comparisons[1], value: right}
+      }
+    }
+  }
+
+  return null
+}
+
+const serializeFeature = (feature = {}) => {
+  const name = escapeIdent(feature.name)
+
+  if (feature.type === 'boolean') {
+    return `(${name})`
+  }
+
+  if (feature.type === 'plain') {
+    return `(${name}: ${serializeFeatureValue(feature.value)})`
+  }
+
+  if (feature.type === 'range') {
+    const {left, right} = feature
+
+    return `(${[
+      left && `${serializeFeatureValue(left.value)} ${left.comparison} `,
+      name,
+      right && ` ${right.comparison} ${serializeFeatureValue(right.value)}`
+    ].filter(Boolean).join('')})`
+  }
+
+  return feature.value.toSource()
+}
+
+// Media queries
+// A parsed media query list is an array of media queries, which are plain
+// objects with a modifier (not or only), a mediaType and a condition, each
+// null when left out. The tests of their conditions are media features:
+// boolean, plain or range.
+
+const consumeAMediaTest = value => consumeATestInParens(value, consumeAFeature)
+
+// These idents can't be media types
+const reservedMediaTypes = ['only', 'not', 'and', 'or', 'layer']
+
+// https://drafts.csswg.org/mediaqueries-4/#typedef-media-query
+const consumeAMediaQuery = (values = []) => {
+  const items = withoutTrivia(values)
+  const query = {type: 'media-query', modifier: null, mediaType: null, condition: null}
+  let i = 0
+
+  if (!items.length) {
+    throw new InvalidConditionError('Expected a media query.', values)
+  }
+
+  if (
+    (isKeyword(items[0], 'not') || isKeyword(items[0], 'only'))
+    && items[1] instanceof IdentToken
+  ) {
+    query.modifier = asciiLowercase(items[i++].value)
+  }
+
+  if (
+    !(items[i] instanceof IdentToken)
+    || (!query.modifier && isKeyword(items[i], 'not'))
+  ) {
+    query.condition = consumeACondition(items, consumeAMediaTest)
+
+    return query
+  }
+
+  query.mediaType = asciiLowercase(items[i].value)
+
+  if (reservedMediaTypes.includes(query.mediaType)) {
+    throw new InvalidConditionError(`"${items[i].value}" can not be a media type.`, [items[i]])
+  }
+
+  if (++i < items.length) {
+    if (!isKeyword(items[i], 'and')) {
+      throw new InvalidConditionError(`Expected "and" after the media type instead of "${items[i].toSource()}".`, [items[i]])
+    }
+
+    query.condition = consumeACondition(items.slice(i + 1), consumeAMediaTest, {or: false})
+  }
+
+  return query
+}
+
+// The media query list of an @import rule comes after its URL, layer and
+// supports conditions
+const mediaQueryListOf = (rule = {}) => {
+  if (!rule.name || asciiLowercase(rule.name) !== 'import') {
+    return rule.prelude
+  }
+
+  const values = trimValues(withoutComments(rule.prelude))
+  let i = 0
+
+  const skip = test => {
+    if (test(values[i])) {
+      i++
+
+      while (values[i] instanceof WhitespaceToken) {
+        i++
+      }
+    }
+  }
+
+  skip(value => value instanceof StringToken || value instanceof URLToken || (value instanceof Func && asciiLowercase(value.name) === 'url'))
+  skip(value => isKeyword(value, 'layer') || (value instanceof Func && asciiLowercase(value.name) === 'layer'))
+  skip(value => value instanceof Func && asciiLowercase(value.name) === 'supports')
+
+  return values.slice(i)
+}
+
+// https://drafts.csswg.org/mediaqueries-4/#parse-media-query-list
+// Takes a string, a list of component values, or an @media or @import rule,
+// and returns a list of media queries. A media query that isn't valid is
+// reported, and becomes "not all", which never matches.
+export const parseMediaQueryList = (input = [], options = {}) => {
+  const values = typeof input === 'string'
+    ? parseAListOfComponentValues(input, options)
+    : input instanceof AtRule
+      ? mediaQueryListOf(input)
+      : input
+
+  if (!withoutTrivia(values).length) {
+    return []
+  }
+
+  return splitOnCommas(values).map(list => {
+    try {
+      return consumeAMediaQuery(list)
+    }
+
+    catch (error) {
+      if (!(error instanceof InvalidConditionError)) {
+        throw error
+      }
+
+      // An empty media query has no range of its own
+      reportError(options, 'invalid-media-query', error.message, error.range.start ? error.range : rangeOf(values))
+
+      return {type: 'media-query', modifier: 'not', mediaType: 'all', condition: null}
+    }
+  })
+}
+
+// https://drafts.csswg.org/cssom/#serialize-a-media-query-list
+// Write out a media query list, a media query, or a condition in one
+export const serializeMediaQueryList = (queries = []) => {
+  if (!Array.isArray(queries)) {
+    queries = [queries]
+  }
+
+  return queries
+    .map(query => {
+      if (query.type !== 'media-query') {
+        return serializeCondition(query, serializeFeature)
+      }
+
+      const {modifier, mediaType, condition} = query
+      const parts = [modifier, mediaType && escapeIdent(mediaType)].filter(Boolean)
+
+      if (condition) {
+        // Only and can follow a media type
+        const serialized = serializeCondition(condition, serializeFeature)
+
+        parts.push(
+          ...mediaType ? ['and'] : [],
+          mediaType && condition.type === 'or' ? `(${serialized})` : serialized
+        )
+      }
+
+      return parts.join(' ')
+    })
+    .join(', ')
+}
+
+// https://drafts.csswg.org/mediaqueries-4/#evaluating
+// Conditions are evaluated with three-valued logic: true, false, or null
+// when it is unknown whether they match
+const evaluateCondition = (condition = {}, evaluateATest) => {
+  const {type} = condition
+
+  if (type === 'not') {
+    const result = evaluateCondition(condition.condition, evaluateATest)
+
+    return result === null ? null : !result
+  }
+
+  if (
+    type === 'and'
+    || type === 'or'
+  ) {
+    const results = condition.conditions.map(child => evaluateCondition(child, evaluateATest))
+    const decisive = type === 'or'
+
+    if (results.includes(decisive)) {
+      return decisive
+    }
+
+    return results.includes(null) ? null : !decisive
+  }
+
+  return evaluateATest(condition)
+}
+
+// The features of media queries that take a number, and what kind of
+// number, to know which units they can be in and that they can be compared
+// in ranges. The others take idents.
+const mediaRangeFeatures = {
+  width: 'length',
+  height: 'length',
+  'device-width': 'length',
+  'device-height': 'length',
+  'aspect-ratio': 'ratio',
+  'device-aspect-ratio': 'ratio',
+  resolution: 'resolution',
+  color: 'integer',
+  'color-index': 'integer',
+  monochrome: 'integer',
+  // 1 on a grid-based device like a terminal, 0 otherwise
+  grid: 'integer'
+}
+
+// https://drafts.csswg.org/css-values-4/#absolute-lengths
+const absoluteLengths = {
+  px: 1,
+  in: 96,
+  cm: 96 / 2.54,
+  mm: 96 / 25.4,
+  q: 96 / 101.6,
+  pt: 96 / 72,
+  pc: 16
+}
+
+// https://drafts.csswg.org/css-values-4/#resolution
+const resolutions = {
+  dppx: 1,
+  x: 1,
+  dpi: 1 / 96,
+  dpcm: 2.54 / 96
+}
+
+// A value as a number in the canonical unit of its kind: px for lengths,
+// where em and rem are relative to the fontSize of the environment, viewport
+// units to the width and height of its viewport (the environment itself
+// unless given) and container query units to those of its container, dppx
+// for resolutions, and a ratio as its quotient. Null when the value can't
+// be that kind of number.
+const featureNumber = (value = {}, kind = '', environment = {}) => {
+  const {type, unit} = value
+
+  if (kind === 'length') {
+    const {fontSize = 16, viewport = environment, container = {}} = environment
+    const {width, height} = viewport
+    const inlineSize = container['inline-size']
+    const blockSize = container['block-size']
+    const relative = {
+      em: fontSize,
+      rem: fontSize,
+      vw: width / 100,
+      vh: height / 100,
+      vmin: Math.min(width, height) / 100,
+      vmax: Math.max(width, height) / 100,
+      // https://drafts.csswg.org/css-conditional-5/#container-lengths
+      cqw: container.width / 100,
+      cqh: container.height / 100,
+      cqi: inlineSize / 100,
+      cqb: blockSize / 100,
+      cqmin: Math.min(inlineSize, blockSize) / 100,
+      cqmax: Math.max(inlineSize, blockSize) / 100
+    }
+
+    if (type === 'number') {
+      return value.value === 0 ? 0 : null
+    }
+
+    if (type === 'dimension') {
+      const size = absoluteLengths[unit] || relative[unit]
+
+      return size === undefined || Number.isNaN(size)
+        ? null
+        : value.value * size
+    }
+  }
+
+  if (kind === 'resolution') {
+    if (type === 'ident' && value.value === 'infinite') {
+      return Infinity
+    }
+
+    if (type === 'dimension' && resolutions[unit]) {
+      return value.value * resolutions[unit]
+    }
+  }
+
+  if (kind === 'ratio') {
+    if (type === 'number') {
+      return value.value
+    }
+
+    // A ratio of 0 / 0 is degenerate
+    if (type === 'ratio' && (value.numerator || value.denominator)) {
+      return value.numerator / value.denominator
+    }
+  }
+
+  if (
+    kind === 'integer'
+    && type === 'number'
+    && Number.isInteger(value.value)
+  ) {
+    return value.value
+  }
+
+  return null
+}
+
+const compare = (a, comparison, b) => {
+  if (comparison === '<') {
+    return a < b
+  }
+
+  if (comparison === '<=') {
+    return a <= b
+  }
+
+  if (comparison === '>') {
+    return a > b
+  }
+
+  if (comparison === '>=') {
+    return a >= b
+  }
+
+  return a === b
+}
+
+// Idents that make a feature false in a boolean context, like (hover) on a
+// device where hover is none
+const falseIdents = ['none', 'no-preference']
+
+// https://drafts.csswg.org/mediaqueries-4/#mq-features
+// Evaluate a boolean, plain or range feature against the value the
+// environment has for it (a number in the canonical unit of its kind, or a
+// string), which is unknown when there is none
+const evaluateFeature = (feature = {}, environment = {}, rangeFeatures = {}) => {
+  const {type} = feature
+
+  // Something this parser doesn't know can't be known to match
+  if (type === 'general-enclosed') {
+    return null
+  }
+
+  const prefix = type === 'plain'
+    ? (/^(min|max)-/.exec(feature.name) || [])[1]
+    : undefined
+  const name = prefix
+    ? feature.name.slice(prefix.length + 1)
+    : feature.name
+  const kind = rangeFeatures[name]
+  const actual = environment[name]
+
+  if (
+    actual === undefined
+    || actual === null
+    || (prefix && !kind)
+  ) {
+    return null
+  }
+
+  if (type === 'boolean') {
+    return kind
+      ? actual !== 0
+      : !(actual === false || falseIdents.includes(asciiLowercase(String(actual))))
+  }
+
+  // Features that take idents can only be equal to one
+  if (!kind) {
+    return type === 'plain' && feature.value.type === 'ident'
+      ? asciiLowercase(String(actual)) === feature.value.value
+      : null
+  }
+
+  if (type === 'plain') {
+    const value = featureNumber(feature.value, kind, environment)
+
+    if (value === null) {
+      return null
+    }
+
+    return compare(actual, prefix === 'min' ? '>=' : prefix === 'max' ? '<=' : '=', value)
+  }
+
+  const {left, right} = feature
+  const leftValue = left ? featureNumber(left.value, kind, environment) : 0
+  const rightValue = right ? featureNumber(right.value, kind, environment) : 0
+
+  if (leftValue === null || rightValue === null) {
+    return null
+  }
+
+  return (!left || compare(leftValue, left.comparison, actual))
+    && (!right || compare(actual, right.comparison, rightValue))
+}
+
+// Fill in the features that follow from the width and height
+const mediaEnvironment = (environment = {}) => {
+  const {width, height} = environment
+  const derived = {}
+
+  if (typeof width === 'number' && typeof height === 'number') {
+    derived['aspect-ratio'] = width / height
+    derived.orientation = height >= width ? 'portrait' : 'landscape'
+  }
+
+  return {...derived, ...environment}
+}
+
+// Takes a media query (or a condition) from parseMediaQueryList() and an
+// environment, and returns true or false, or null when it is unknown whether
+// the query matches. The environment has a value for each media feature it
+// knows, like {width: 800, resolution: 2, 'prefers-color-scheme': 'dark'},
+// with lengths in px and resolutions in dppx, and the mediaType (screen
+// unless given) and fontSize (16 unless given) em units are relative to.
+export const evaluateMediaQuery = (query = {}, environment = {}) => {
+  const features = mediaEnvironment(environment)
+  const evaluateATest = feature => evaluateFeature(feature, features, mediaRangeFeatures)
+
+  if (query.type !== 'media-query') {
+    return evaluateCondition(query, evaluateATest)
+  }
+
+  const {modifier, mediaType, condition} = query
+  const {mediaType: actualType = 'screen'} = environment
+  let result = mediaType === null
+    || mediaType === 'all'
+    || mediaType === asciiLowercase(actualType)
+
+  if (result && condition) {
+    result = evaluateCondition(condition, evaluateATest)
+  }
+
+  if (modifier === 'not') {
+    return result === null ? null : !result
+  }
+
+  return result
+}
+
+// Whether a media query list matches an environment: when it is empty, or
+// when any of its media queries does. One that is unknown doesn't match.
+// Takes a list from parseMediaQueryList(), or what that takes.
+export const evaluateMediaQueryList = (queries = [], environment = {}, options = {}) => {
+  if (
+    !Array.isArray(queries)
+    || !queries.every(query => query.type === 'media-query')
+  ) {
+    queries = parseMediaQueryList(queries, options)
+  }
+
+  return queries.length === 0
+    || queries.some(query => evaluateMediaQuery(query, environment) === true)
+}
+
+// Feature queries
+// A parsed supports condition is a condition whose tests are declarations,
+// like (display: grid), as a Declaration node, and the selector(),
+// font-tech() and font-format() functions, with a complex selector or the
+// name of a font technology or format, in lowercase.
+
+// https://drafts.csswg.org/css-conditional-3/#typedef-supports-decl
+const consumeASupportsDeclaration = (values = []) => {
+  const contents = trimValues(values)
+
+  if (
+    !(contents[0] instanceof IdentToken)
+    || contents.some(value => value instanceof SemicolonToken)
+  ) {
+    return null
   }
 
-  else {
-    throw SyntaxError(input)
+  try {
+    return {type: 'declaration', declaration: parseADeclaration(contents)}
   }
-}
 
-// https://drafts.csswg.org/css-syntax/#parse-stylesheet
-export const parseAStylesheet = (str = '') => {
-  str = normalizeInput(str)
-  const stylesheet = new Stylesheet()
-  stylesheet.value = consumeAListOfRules(str, 'top-level')
+  catch (error) {
+    if (error instanceof SyntaxError) {
+      return null
+    }
 
-  return stylesheet
+    throw error
+  }
 }
 
-// https://drafts.csswg.org/css-syntax/#parse-list-of-rules
-export const parseAListOfRules = (str = '') => {
-  str = normalizeInput(str)
-  return consumeAListOfRules(str)
-}
+// https://drafts.csswg.org/css-conditional-5/#typedef-supports-feature
+const consumeASupportsFunction = func => {
+  const name = asciiLowercase(func.name)
+  const values = withoutTrivia(func.value)
 
-// https://drafts.csswg.org/css-syntax/#parse-rule
-export const parseARule = (str = '') => {
-  str = normalizeInput(str)
-  let rule
+  if (name === 'selector') {
+    const selectors = parseSelectorList(trimValues(func.value))
 
-  while (str.next() instanceof WhitespaceToken) {
-    str.consume()
+    return selectors.length === 1
+      ? {type: 'selector', selector: selectors[0]}
+      : null
   }
 
-  if (str.next() instanceof EOFToken) {
-    throw SyntaxError()
+  if (
+    name === 'font-tech'
+    && values.length === 1
+    && values[0] instanceof IdentToken
+  ) {
+    return {type: 'font-tech', value: asciiLowercase(values[0].value)}
   }
 
-  if (str.next() instanceof AtKeywordToken) {
-    rule = consumeAnAtRule(str)
+  if (
+    name === 'font-format'
+    && values.length === 1
+    && (values[0] instanceof IdentToken || values[0] instanceof StringToken)
+  ) {
+    return {type: 'font-format', value: asciiLowercase(values[0].value)}
   }
 
-  else {
-    rule = consumeAQualifiedRule(str)
-    if (!rule) {
-      throw SyntaxError()
-    }
-  }
+  return null
+}
 
-  while (str.next() instanceof WhitespaceToken) {
-    str.consume()
+const consumeASupportsTest = value =>
+  consumeATestInParens(value, consumeASupportsDeclaration, consumeASupportsFunction)
+
+// The supports condition of an @import rule is in its supports() function,
+// which can also hold a declaration on its own
+const supportsConditionOf = (rule = {}) => {
+  if (asciiLowercase(rule.name) !== 'import') {
+    return rule.prelude
   }
 
-  if (str.next() instanceof EOFToken) {
-    return rule
+  const supports = rule.prelude.find(value =>
+    value instanceof Func
+    && asciiLowercase(value.name) === 'supports'
+  )
+
+  if (!supports) {
+    return []
   }
 
-  throw SyntaxError()
+  const declaration = consumeASupportsDeclaration(supports.value)
+
+  return declaration
+    ? [Object.assign(new SimpleBlock('('), {value: supports.value})]
+    : supports.value
 }
 
-// https://drafts.csswg.org/css-syntax/#parse-declaration
-export const parseADeclaration = (str = '') => {
-  str = normalizeInput(str)
+// https://drafts.csswg.org/css-conditional-3/#typedef-supports-condition
+// Takes a string, a list of component values, or an @supports or @import
+// rule, and returns a supports condition, or a diagnostic if it is invalid
+export const parseSupportsCondition = (input = [], options = {}) => {
+  const values = typeof input === 'string'
+    ? parseAListOfComponentValues(input, options)
+    : input instanceof AtRule
+      ? supportsConditionOf(input)
+      : input
 
-  while (str.next() instanceof WhitespaceToken) {
-    str.consume()
+  try {
+    return consumeACondition(values, consumeASupportsTest)
   }
 
-  if (!(str.next() instanceof IdentToken)) {
-    throw SyntaxError()
+  catch (error) {
+    if (error instanceof InvalidConditionError) {
+      return reportError(options, 'invalid-supports-condition', error.message, error.range.start ? error.range : rangeOf(values))
+    }
+
+    throw error
   }
+}
 
-  const decl = consumeADeclaration(str)
+const serializeASupportsTest = (test = {}) => {
+  if (test.type === 'declaration') {
+    return `(${test.declaration.toSource().trim()})`
+  }
 
-  if (decl) {
-    return decl
+  if (test.type === 'selector') {
+    return `selector(${serializeSelector(test.selector)})`
   }
 
-  else {
-    throw SyntaxError()
+  if (
+    test.type === 'font-tech'
+    || test.type === 'font-format'
+  ) {
+    return `${test.type}(${escapeIdent(test.value)})`
   }
-}
 
-// https://drafts.csswg.org/css-syntax/#parse-list-of-declarations
-export const parseAListOfDeclarations = (str = '') => {
-  str = normalizeInput(str)
-  return consumeAListOfDeclarations(str)
+  return test.value.toSource()
 }
 
-// https://drafts.csswg.org/css-syntax/#parse-component-value
-export const parseAComponentValue = (str = '') => {
-  str = normalizeInput(str)
+// Write out a supports condition
+export const serializeSupportsCondition = (condition = {}) =>
+  serializeCondition(condition, serializeASupportsTest)
 
-  while (str.next() instanceof WhitespaceToken) {
-    str.consume()
+// https://drafts.csswg.org/css-conditional-3/#evaluate-a-supports-condition
+// Takes a supports condition, or what parseSupportsCondition() takes, and a
+// function that is called with each declaration, selector, font-tech or
+// font-format test in it, and returns whether it is supported: true, false,
+// or null (or undefined) when that is not known. It returns the same for
+// the whole condition, and false when it is invalid. Functions and
+// parentheses with something else inside are never supported.
+export const evaluateSupportsCondition = (condition = {}, isSupported = () => null, options = {}) => {
+  if (!['not', 'and', 'or', 'declaration', 'selector', 'font-tech', 'font-format', 'general-enclosed'].includes(condition.type)) {
+    condition = parseSupportsCondition(condition, options)
   }
 
-  if (str.next() instanceof EOFToken) {
-    throw SyntaxError()
+  if (condition.code) {
+    return false
   }
 
-  const val = consumeAComponentValue(str)
+  return evaluateCondition(condition, test => {
+    if (test.type === 'general-enclosed') {
+      return false
+    }
 
-  if (!val) {
-    throw SyntaxError()
-  }
+    const result = isSupported(test)
 
-  while (str.next() instanceof WhitespaceToken) {
-    str.consume()
-  }
+    return result === null || result === undefined
+      ? null
+      : Boolean(result)
+  })
+}
 
-  if (str.next() instanceof EOFToken) {
-    return val
+// Container queries
+// A parsed container query is a plain object with the name of the
+// container it queries and a condition, either of them null when left
+// out. The tests of the condition are size features, like the features of
+// media queries, and the style() and scroll-state() functions, with a query
+// of their own: conditions on declarations, or custom properties on their
+// own, and on scroll state features.
+
+// https://drafts.csswg.org/css-conditional-5/#typedef-style-feature
+const consumeAStyleFeature = (values = []) => {
+  const items = withoutTrivia(values)
+
+  if (
+    items.length === 1
+    && items[0] instanceof IdentToken
+    && items[0].value.startsWith('--')
+  ) {
+    return {type: 'boolean', name: items[0].value}
   }
 
-  throw SyntaxError()
+  return consumeASupportsDeclaration(values)
 }
 
-// https://drafts.csswg.org/css-syntax/#parse-list-of-component-values
-export const parseAListOfComponentValues = (str = '') => {
-  str = normalizeInput(str)
+// The query of style() or scroll-state() can be a feature without
+// parentheses around it
+const consumeAFunctionQuery = (values = [], consumeAFeature) => {
+  const contents = withoutComments(values)
 
-  let vals = []
+  try {
+    return consumeAFeature(contents)
+      || consumeACondition(contents, value => consumeATestInParens(value, consumeAFeature))
+  }
 
-  while (true) {
-    const val = consumeAComponentValue(str)
-    if (val instanceof EOFToken) {
-      return vals
+  catch (error) {
+    if (error instanceof InvalidConditionError) {
+      return null
     }
 
-    else {
-      vals.push(val)
-    }
+    throw error
   }
 }
 
-// https://drafts.csswg.org/css-syntax/#parse-comma-separated-list-of-component-values
-export const parseACommaSeparatedListOfComponentValues = (str = '') => {
-  str = normalizeInput(str)
+// https://drafts.csswg.org/css-conditional-5/#typedef-query-in-parens
+const consumeAContainerFunction = func => {
+  const name = asciiLowercase(func.name)
+  const query = name === 'style'
+    ? consumeAFunctionQuery(func.value, consumeAStyleFeature)
+    : name === 'scroll-state'
+      ? consumeAFunctionQuery(func.value, consumeAFeature)
+      : null
 
-  let listOfCVLs = []
+  return query && {type: name, query}
+}
 
-  while (true) {
-    let vals = []
+const consumeAContainerTest = value =>
+  consumeATestInParens(value, consumeAFeature, consumeAContainerFunction)
 
-    while (true) {
-      const val = consumeAComponentValue(str)
+// These idents can't be container names
+const reservedContainerNames = ['none', 'and', 'not', 'or']
 
-      if (val instanceof EOFToken) {
-        listOfCVLs.push(vals)
-        return listOfCVLs
-      }
+// https://drafts.csswg.org/css-conditional-5/#typedef-container-condition
+// Takes a string, a list of component values, or an @container rule, and
+// returns a container query, or a diagnostic if it is invalid
+export const parseContainerQuery = (input = [], options = {}) => {
+  const values = typeof input === 'string'
+    ? parseAListOfComponentValues(input, options)
+    : input instanceof AtRule
+      ? input.prelude
+      : input
+  const items = withoutTrivia(values)
+  const query = {type: 'container-query', name: null, condition: null}
 
-      else if (val instanceof CommaToken) {
-        listOfCVLs.push(vals)
-        break
-      }
+  try {
+    if (!items.length) {
+      throw new InvalidConditionError('Expected a container name or a container query.', values)
+    }
 
-      else {
-        vals.push(val)
-      }
+    const [first] = items
+
+    if (
+      first instanceof IdentToken
+      && !reservedContainerNames.includes(asciiLowercase(first.value))
+    ) {
+      // Like other custom idents, container names are case-sensitive
+      query.name = first.value
     }
-  }
-}
 
-// Parser objects
-const flattenTokens = (tokens = [], joinString = '') => {
-  if (
-    Array.isArray(tokens)
-  ) {
-    return tokens
-      .map(token => token.toSource())
-      .join(joinString)
-  } else if (!tokens) {
-    return ';'
-  } else {
-    try {
-      return tokens.toSource()
-    } catch (error) {
-      console.log(tokens, error)
-      return 'error'
+    else if (isKeyword(first, 'none')) {
+      throw new InvalidConditionError('"none" can not be a container name.', [first])
     }
-  }
-}
 
-class CSSParserRule {
-  constructor () {
-    if (this.constructor === CSSParserRule) {
-      throw new Error("Can't instantiate abstract class");
+    const rest = query.name === null ? items : items.slice(1)
+
+    if (rest.length) {
+      query.condition = consumeACondition(rest, consumeAContainerTest)
     }
+
+    return query
   }
-  toString(value) { return JSON.stringify(this, null, value) }
-  toJSON() { return {type: this.type, value: this.value} }
-  toSource() { return this.value }
-}
 
-// https://drafts.csswg.org/css-syntax/#typedef-stylesheet
-class Stylesheet extends CSSParserRule {
-  constructor() {
-    super()
+  catch (error) {
+    if (error instanceof InvalidConditionError) {
+      return reportError(options, 'invalid-container-query', error.message, error.range.start ? error.range : rangeOf(values))
+    }
 
-    this.type = 'STYLESHEET'
-    this.value = []
+    throw error
   }
-  toSource() { return flattenTokens(this.value, ' ').trim() }
 }
 
-// https://drafts.csswg.org/css-syntax/#at-rule
-class AtRule extends CSSParserRule {
-  constructor(value) {
-    super()
+const serializeAStyleFeature = (feature = {}) =>
+  feature.type === 'boolean'
+    ? `(${feature.name})`
+    : serializeASupportsTest(feature)
 
-    this.type = 'AT-RULE'
-    this.name = value
-    this.prelude = []
-    this.value = null
+// A feature on its own is written without the parentheses around it
+const serializeAFunctionQuery = (query = {}, serializeATest) =>
+  ['not', 'and', 'or', 'general-enclosed'].includes(query.type)
+    ? serializeCondition(query, serializeATest)
+    : serializeATest(query).slice(1, -1)
+
+const serializeAContainerTest = (test = {}) => {
+  if (test.type === 'style') {
+    return `style(${serializeAFunctionQuery(test.query, serializeAStyleFeature)})`
   }
-  toJSON() {
-    return {
-      ...super.toJSON(),
-      name: this.name,
-      prelude: this.prelude
-    }
+
+  if (test.type === 'scroll-state') {
+    return `scroll-state(${serializeAFunctionQuery(test.query, serializeFeature)})`
   }
-  toSource() {
-    return `@${this.name}${flattenTokens(this.prelude)}${flattenTokens(this.value)}`
+
+  return serializeFeature(test)
+}
+
+// Write out a container query, or a condition in one
+export const serializeContainerQuery = (query = {}) => {
+  if (query.type !== 'container-query') {
+    return serializeCondition(query, serializeAContainerTest)
   }
+
+  return [
+    query.name && escapeIdent(query.name),
+    query.condition && serializeCondition(query.condition, serializeAContainerTest)
+  ].filter(Boolean).join(' ')
 }
 
-// https://drafts.csswg.org/css-syntax/#qualified-rule
-class QualifiedRule extends CSSParserRule {
-  constructor() {
-    super()
+// https://drafts.csswg.org/css-conditional-5/#size-container
+const containerRangeFeatures = {
+  width: 'length',
+  height: 'length',
+  'inline-size': 'length',
+  'block-size': 'length',
+  'aspect-ratio': 'ratio'
+}
 
-    this.type = 'QUALIFIED-RULE'
-    this.prelude = []
-    this.value = []
-  }
-  toJSON() {
-    return {
-      ...super.toJSON(),
-      prelude: this.prelude
-    }
+// Fill in the features that follow from the width and height, in a
+// horizontal writing mode unless the inline and block sizes are given.
+// Container query units are relative to the container, but viewport units
+// only to its viewport, which is unknown unless given.
+const containerFeatures = (container = {}) => {
+  const features = {
+    'inline-size': container.width,
+    'block-size': container.height,
+    ...mediaEnvironment(container)
   }
-  toSource() {
-    return `${flattenTokens(this.prelude)}${flattenTokens(this.value)}`
+
+  return {
+    ...features,
+    viewport: container.viewport || {},
+    container: features
   }
 }
 
-// https://drafts.csswg.org/css-syntax/#declaration
-class Declaration extends CSSParserRule {
-  constructor(value) {
-    super()
-
-    this.type = 'DECLARATION'
-    this.name = value
-    this.value = []
-    this.important = false
+// A custom property on its own matches when it has a value, and a
+// declaration when its value is the same, ignoring whitespace around it
+const evaluateAStyleFeature = (feature = {}, style) => {
+  if (feature.type === 'general-enclosed') {
+    return null
   }
-  toJSON() {
-    return {
-      ...super.toJSON(),
-      name: this.name,
-      important: this.important
-    }
+
+  const name = feature.type === 'boolean'
+    ? feature.name
+    : feature.declaration.name
+  const actual = style[name]
+
+  if (actual === undefined || actual === null) {
+    return feature.type === 'boolean' ? false : null
   }
-  toSource() {
-    return `${this.name}:${flattenTokens(this.value)}${this.important ? `!important` : ''}`
+
+  if (feature.type === 'boolean') {
+    return String(actual).trim() !== ''
   }
+
+  const expected = trimValues(feature.declaration.value)
+    .map(value => value.toSource())
+    .join('')
+
+  return String(actual).trim() === expected
 }
 
-class SimpleBlock extends CSSParserRule {
-  constructor(value) {
-    super()
+// Takes a container query from parseContainerQuery() (or what that takes)
+// and a container, and returns true or false, or null when it is unknown
+// whether the query matches. The container has the names it can be queried
+// by, its width and height in px (and inline-size and block-size, when they
+// aren't the same), the fontSize em units are relative to (16 unless
+// given), the viewport with the width and height viewport units are
+// relative to, the style it has, an object of properties and their values,
+// and its scrollState, an object of scroll state features and their values.
+// Features and properties the container has no value for are unknown.
+export const evaluateContainerQuery = (query = {}, container = {}, options = {}) => {
+  if (
+    typeof query === 'string'
+    || Array.isArray(query)
+    || query instanceof AtRule
+  ) {
+    query = parseContainerQuery(query, options)
+  }
 
-    this.type = 'BLOCK'
-    this.name = value
-    this.value = []
-    this.mirror = ({
-      '(': ')',
-      '{': '}',
-      '[': ']'
-    })[this.name]
+  if (query.code) {
+    return false
   }
-  toJSON() {
-    return {
-      ...super.toJSON(),
-      name: this.name
+
+  const features = containerFeatures(container)
+
+  const evaluateATest = test => {
+    if (test.type === 'style') {
+      return container.style
+        ? evaluateCondition(test.query, feature => evaluateAStyleFeature(feature, container.style))
+        : null
     }
-  }
-  toSource() {
-    return `${this.name}${this.value.map(token => token.toSource()).join('')}${this.mirror}`
-  }
-}
 
-class Func extends CSSParserRule {
-  constructor(value) {
-    super()
+    if (test.type === 'scroll-state') {
+      return container.scrollState
+        ? evaluateCondition(test.query, feature => evaluateFeature(feature, container.scrollState))
+        : null
+    }
 
-    this.type = 'FUNCTION'
-    this.name = value
-    this.value = []
+    return evaluateFeature(test, features, containerRangeFeatures)
   }
-  toJSON() {
-    return {
-      ...super.toJSON(),
-      name: this.name
-    }
+
+  if (query.type !== 'container-query') {
+    return evaluateCondition(query, evaluateATest)
   }
-  toSource() {
-    return `${this.name}(${this.value.map(token => token.toSource()).join('')})`
+
+  if (
+    query.name !== null
+    && !(container.names || []).includes(query.name)
+  ) {
+    return false
   }
+
+  return query.condition
+    ? evaluateCondition(query.condition, evaluateATest)
+    : true
 }
 
-// Canonicalization function
-export const canonicalize = (rule, grammar, topGrammar) => {
+// Whether the block of an at-rule was parsed into rules (and declarations,
+// when nested in a qualified rule), as that of a group rule is
+const hasParsedBlock = rule =>
+  rule.value instanceof SimpleBlock
+  && nestedGroupRules.includes(asciiLowercase(rule.name))
+  && rule.value.value.every(item =>
+    item instanceof Declaration
+    || item instanceof AtRule
+    || item instanceof QualifiedRule
+  )
+
+// Canonicalization function. Blocks are parsed again for each rule, so the
+// maxDepth option (256 by default) counts down by one for every rule that is
+// nested; the rules past it aren't canonicalized, but kept as errors
+export const canonicalize = (rule, grammar, topGrammar, options = {}) => {
   let unknownTransformer = () => {}
+  const maxDepth = options.maxDepth === undefined ? 256 : options.maxDepth
+  const nested = {...options, maxDepth: maxDepth - 1}
 
   if (grammar === undefined) {
     grammar = CSSGrammar
@@ -2194,7 +6932,15 @@ export const canonicalize = (rule, grammar, topGrammar) => {
   }
 
   else if (rule.type === 'QUALIFIED-RULE') {
-    unparsedContents = rule.value.value
+    // The block of a qualified rule is parsed already
+    contents = rule.value.value
+    ret.prelude = rule.prelude
+  }
+
+  // So is the block of a group rule
+  else if (rule.type === 'AT-RULE' && hasParsedBlock(rule)) {
+    contents = rule.value.value
+    ret.name = rule.name
     ret.prelude = rule.prelude
   }
 
@@ -2215,11 +6961,11 @@ export const canonicalize = (rule, grammar, topGrammar) => {
 
   if (unparsedContents) {
     if (grammar.declarations) {
-      contents = parseAListOfDeclarations(unparsedContents)
+      contents = parseAListOfDeclarations(unparsedContents, {maxDepth})
     }
 
     else if (grammar.qualified) {
-      contents = parseAListOfRules(unparsedContents)
+      contents = parseAListOfRules(unparsedContents, {maxDepth})
     }
   }
 
@@ -2240,12 +6986,37 @@ export const canonicalize = (rule, grammar, topGrammar) => {
         ret.rules.push(decl)
       }
 
-      else { // rule is instanceof AtRule
+      else if (
+        rule instanceof QualifiedRule
+        && nested.maxDepth <= 0
+      ) {
+        ret.errors.push(rule)
+      }
+
+      // Nested rules take the grammar of style rules
+      else if (rule instanceof QualifiedRule) {
+        ret.rules.push(
+          canonicalize(rule, topGrammar.qualified, topGrammar, nested)
+        )
+      }
+
+      // A block nested past maxDepth is kept as a flat list of tokens
+      else if (!(rule instanceof AtRule)) {
+        ret.errors.push(rule)
+      }
+
+      else {
+        // A nested group rule holds what the rule around it does
         const subGrammar = grammar['@' + rule.name]
+          || (hasParsedBlock(rule) ? grammar : undefined)
 
-        if (subGrammar) { // Rule is valid in this context
+        if (nested.maxDepth <= 0) {
+          ret.errors.push(rule)
+        }
+
+        else if (subGrammar) { // Rule is valid in this context
           ret.rules.push(
-            canonicalize(rule, subGrammar, topGrammar)
+            canonicalize(rule, subGrammar, topGrammar, nested)
           )
         }
 
@@ -2257,7 +7028,7 @@ export const canonicalize = (rule, grammar, topGrammar) => {
           }
 
           else {
-            ret.errors.push(result)
+            ret.errors.push(rule)
           }
         }
       }
@@ -2271,18 +7042,29 @@ export const canonicalize = (rule, grammar, topGrammar) => {
     for (let i = 0; i < contents.length; i++) {
       const rule = contents[i]
 
-      if (rule instanceof QualifiedRule) {
+      if (
+        rule instanceof QualifiedRule
+        && nested.maxDepth <= 0
+      ) {
+        ret.errors.push(rule)
+      }
+
+      else if (rule instanceof QualifiedRule) {
         ret.rules.push(
-          canonicalize(rule, grammar.qualified, topGrammar)
+          canonicalize(rule, grammar.qualified, topGrammar, nested)
         )
       }
 
       else {
         const subGrammar = grammar['@' + rule.name]
 
-        if (subGrammar) { // Rule is valid in this context
+        if (nested.maxDepth <= 0) {
+          ret.errors.push(rule)
+        }
+
+        else if (subGrammar) { // Rule is valid in this context
           ret.rules.push(
-            canonicalize(rule, subGrammar, topGrammar)
+            canonicalize(rule, subGrammar, topGrammar, nested)
           )
         }
 
@@ -2294,7 +7076,7 @@ export const canonicalize = (rule, grammar, topGrammar) => {
           }
 
           else {
-            ret.errors.push(result)
+            ret.errors.push(rule)
           }
         }
       }
@@ -2314,6 +7096,7 @@ export const CSSGrammar = {
   '@keyframes': {qualified: {declarations: true}},
   '@font-face': {declarations: true},
   '@supports': {stylesheet: true},
+  '@container': {stylesheet: true},
   '@scope': {stylesheet: true},
   '@counter-style': {declarations: true},
   '@import': null,
@@ -0,0 +1,57 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {parseAnPlusB, serializeAnPlusB, parseAComponentValue} from '../index.js'
+
+test('An+B expressions are parsed into a and b', () => {
+  for (const [input, a, b] of [
+    ['odd', 2, 1],
+    ['EVEN', 2, 0],
+    ['3', 0, 3],
+    ['-4', 0, -4],
+    ['n', 1, 0],
+    ['-n', -1, 0],
+    ['+n', 1, 0],
+    ['2n', 2, 0],
+    ['2n+1', 2, 1],
+    ['2n-1', 2, -1],
+    ['2n- 1', 2, -1],
+    ['2n -1', 2, -1],
+    [' -n + 3', -1, 3],
+    ['-n-3', -1, -3],
+    ['n- 3', 1, -3],
+    ['+n + 3', 1, 3],
+    ['10N-0', 10, 0],
+    ['-0n-0', 0, 0]
+  ]) {
+    assert.deepEqual(parseAnPlusB(input), {a, b}, input)
+  }
+})
+
+test('invalid An+B expressions are parse errors', () => {
+  for (const input of ['', 'n + -1', '2n + +1', '+ n', '1.5n', 'n-', '2n 1', 'odd 1', '- n', 'a']) {
+    const errors = []
+    const result = parseAnPlusB(input, {onError: error => errors.push(error)})
+
+    assert.equal(result.code, 'invalid-anb', input)
+    assert.deepEqual(errors.map(error => error.code), ['invalid-anb'], input)
+  }
+})
+
+test('the value of a function can be parsed', () => {
+  assert.deepEqual(parseAnPlusB(parseAComponentValue('nth(-2n + 5)').value), {a: -2, b: 5})
+})
+
+test('An+B expressions are written out in their canonical form', () => {
+  for (const [a, b, output] of [
+    [2, 1, '2n+1'],
+    [-1, 0, '-n'],
+    [1, -3, 'n-3'],
+    [0, 5, '5'],
+    [0, 0, '0'],
+    [3, 0, '3n']
+  ]) {
+    assert.equal(serializeAnPlusB({a, b}), output)
+    assert.deepEqual(parseAnPlusB(output), {a, b})
+  }
+})
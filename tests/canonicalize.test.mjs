@@ -0,0 +1,29 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {parseAStylesheet, canonicalize} from '../index.js'
+
+test('nested rules are canonicalized as style rules', () => {
+  const [rule] = canonicalize(parseAStylesheet('a{color:red; b{x:y} @foo;}')).rules
+
+  assert.deepEqual(rule.rules.map(item => item.type), ['declaration', 'qualified-rule'])
+  assert.equal(rule.rules[1].declarations.x.name, 'x')
+  assert.deepEqual(rule.errors.map(item => item.name), ['foo'])
+})
+
+test('rules left out of the grammar are kept as errors', () => {
+  const {rules, errors} = canonicalize(parseAStylesheet('@foo; a{} @bar{}'))
+
+  assert.deepEqual(rules.map(item => item.type), ['qualified-rule'])
+  assert.deepEqual(errors.map(item => item.name), ['foo', 'bar'])
+  assert.ok(!errors.includes(null))
+})
+
+test('a group rule nested in a style rule is canonicalized like it', () => {
+  const [rule] = canonicalize(parseAStylesheet('a{@media print{color:red; b{x:y}}}')).rules
+  const [media] = rule.rules
+
+  assert.equal(media.name, 'media')
+  assert.equal(media.declarations.color.name, 'color')
+  assert.equal(media.rules[1].declarations.x.name, 'x')
+})
@@ -0,0 +1,38 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {tokenize, parseAStylesheet, parseAListOfDeclarations} from '../index.js'
+
+test('comments are only tokenized with the comments option', () => {
+  assert.deepEqual(tokenize('a/* x */b').map(String), ['IDENT(a)', 'IDENT(b)'])
+  assert.deepEqual(tokenize('a/* x */b', {comments: true}).map(String), ['IDENT(a)', 'COMMENT( x )', 'IDENT(b)'])
+
+  const [, comment] = tokenize('a/* x */b', {comments: true})
+
+  assert.equal(comment.value, ' x ')
+  assert.equal(comment.toSource(), '/* x */')
+  assert.deepEqual([comment.start.offset, comment.end.offset], [1, 8])
+})
+
+test('comments between declarations lead or trail them', () => {
+  const [decl] = parseAListOfDeclarations('/* brand colour */ color: lime; /* see #12 */', {comments: true})
+
+  assert.deepEqual(decl.leading.map(String), ['COMMENT( brand colour )'])
+  assert.deepEqual(decl.trailing.map(String), ['COMMENT( see #12 )'])
+  assert.equal(decl.toSource(), '/* brand colour */color: lime/* see #12 */')
+})
+
+test('a comment on the line a rule ends on trails it, others lead the next', () => {
+  const {value: [a, b]} = parseAStylesheet('/*a*/ x{} /*b*/\n/*c*/ y{} /*end*/', {comments: true})
+
+  assert.deepEqual(a.leading.map(String), ['COMMENT(a)'])
+  assert.deepEqual(a.trailing.map(String), ['COMMENT(b)'])
+  assert.deepEqual(b.leading.map(String), ['COMMENT(c)'])
+  assert.deepEqual(b.trailing.map(String), ['COMMENT(end)'])
+})
+
+test('comments in a declaration value stay where they are', () => {
+  const [decl] = parseAListOfDeclarations('margin: 0 /* top */ 1px', {comments: true})
+
+  assert.deepEqual(decl.value.map(value => value.tokenType), ['WHITESPACE', 'NUMBER', 'WHITESPACE', 'COMMENT', 'WHITESPACE', 'DIMENSION'])
+})
@@ -0,0 +1,56 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  parseAStylesheet,
+  canonicalize,
+  parseContainerQuery,
+  serializeContainerQuery,
+  evaluateContainerQuery
+} from '../index.js'
+
+const card = {names: ['card'], width: 480, height: 320, style: {'--theme': 'dark'}}
+
+test('container queries round-trip', () => {
+  for (const query of [
+    'card (400px <= width < 800px)',
+    '(orientation: portrait) or style(--theme: dark)',
+    'sidebar',
+    'scroll-state(stuck: top)'
+  ]) {
+    const parsed = parseContainerQuery(query)
+
+    assert.deepEqual(parseContainerQuery(serializeContainerQuery(parsed)), parsed, query)
+  }
+
+  assert.equal(parseContainerQuery('card card').code, 'invalid-container-query')
+})
+
+test('container queries are evaluated against a container', () => {
+  const [rule] = parseAStylesheet('@container card (width > 400px) { a {} }').value
+
+  assert.equal(evaluateContainerQuery('card (400px <= width < 800px)', card), true)
+  assert.equal(evaluateContainerQuery('sidebar (width > 400px)', card), false)
+  assert.equal(evaluateContainerQuery('style(--theme: dark) and (orientation: portrait)', card), false)
+  assert.equal(evaluateContainerQuery('style(--theme: dark)', card), true)
+  assert.equal(evaluateContainerQuery('scroll-state(stuck: top)', card), null)
+  assert.equal(evaluateContainerQuery(rule, card), true)
+})
+
+test('@container rules hold rules', () => {
+  const [rule] = canonicalize(parseAStylesheet('@container card (width > 400px) { a { b: c } }')).rules
+
+  assert.equal(rule.rules[0].declarations.b.name, 'b')
+})
+
+test('viewport units are relative to the viewport and container units to the container', () => {
+  const sidebar = {width: 300, height: 600, viewport: {width: 1200, height: 800}}
+
+  assert.equal(evaluateContainerQuery('(width < 30vw)', sidebar), true)
+  assert.equal(evaluateContainerQuery('(height < 80vh)', sidebar), true)
+  assert.equal(evaluateContainerQuery('(width = 100cqw)', sidebar), true)
+  assert.equal(evaluateContainerQuery('(width < 50cqh)', sidebar), false)
+  assert.equal(evaluateContainerQuery('(height = 100cqb)', sidebar), true)
+  assert.equal(evaluateContainerQuery('(width = 50cqmax)', sidebar), true)
+  assert.equal(evaluateContainerQuery('(width < 30vw)', {width: 300, height: 600}), null)
+})
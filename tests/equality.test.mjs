@@ -0,0 +1,77 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  equals,
+  hash,
+  parseAListOfComponentValues,
+  parseARule,
+  parseAStylesheet
+} from '../index.js'
+
+const same = [
+  ['A { COLOR: Red }', 'a{color:red}'],
+  ['a { /* x */ color : red ; }', 'a{color :red}'],
+  ['a{width:10.50px}', 'a{width:1.05e1px}'],
+  ['a{WIDTH:1PX}', 'a{width:1px}'],
+  ['.a > .b{}', '.a>.b{}'],
+  ['.a + .b ~ .c{}', '.a+.b~.c{}'],
+  ['.a , .b{}', '.a,.b{}'],
+  [':is(.a > .b){}', ':is(.a>.b){}'],
+  ['.a{ & > .b{} }', '.a{&>.b{}}']
+]
+
+const different = [
+  ['a{--x:red}', 'a{--X:red}'],
+  ['a{width:1px}', 'a{width:1.5px}'],
+  ['a{width:1}', 'a{width:1.0}'],
+  ['.a .b{}', '.a.b{}'],
+  ['.a > .b{}', '.a .b{}'],
+  ['a{color:red}', 'a{color:red!important}']
+]
+
+test('stylesheets that mean the same CSS are equal and have the same hash', () => {
+  for (const [a, b] of same) {
+    const [first, second] = [parseAStylesheet(a), parseAStylesheet(b)]
+
+    assert.ok(equals(first, second), `${a} equals ${b}`)
+    assert.equal(hash(first), hash(second), `${a} and ${b} have the same hash`)
+  }
+})
+
+test('stylesheets that mean different CSS are not equal', () => {
+  for (const [a, b] of different) {
+    assert.ok(!equals(parseAStylesheet(a), parseAStylesheet(b)), `${a} doesn't equal ${b}`)
+  }
+})
+
+test('whitespace around + is only left out in a selector', () => {
+  assert.ok(equals(parseARule('.a > .b{}'), parseARule('.a>.b{}')))
+  assert.ok(!equals(
+    parseAListOfComponentValues('calc(1px + 2px)'),
+    parseAListOfComponentValues('calc(1px+ 2px)')
+  ))
+})
+
+test('a clone equals its original without being linked to it', () => {
+  const rule = parseARule('.a { color: red; .b { width: 1px } }')
+  const copy = rule.clone()
+
+  assert.notEqual(copy, rule)
+  assert.notEqual(copy.value, rule.value)
+  assert.ok(equals(copy, rule))
+  assert.equal(hash(copy), hash(rule))
+  assert.equal(copy.toSource(), rule.toSource())
+
+  copy.value.value[0].name = 'width'
+
+  assert.equal(rule.value.value[0].name, 'color')
+  assert.ok(!equals(copy, rule))
+})
+
+test('a hash is a 32-bit unsigned integer', () => {
+  const value = hash(parseAStylesheet('a{color:red}'))
+
+  assert.ok(Number.isInteger(value))
+  assert.ok(value >= 0 && value < 2 ** 32)
+})
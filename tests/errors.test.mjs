@@ -0,0 +1,50 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {parseAStylesheet, parseAListOfDeclarations, tokenize} from '../index.js'
+
+const errorsOf = (parse, css) => {
+  const errors = []
+
+  parse(css, {onError: error => errors.push(error)})
+
+  return errors
+}
+
+test('parse errors are passed to onError with a code, a message and a range', () => {
+  const [error] = errorsOf(parseAStylesheet, 'a{b:"c\n}')
+
+  assert.equal(error.code, 'bad-string')
+  assert.equal(error.severity, 'error')
+  assert.equal(typeof error.message, 'string')
+  assert.deepEqual(error.range, {
+    start: {line: 1, column: 5, offset: 4},
+    end: {line: 2, column: 1, offset: 7}
+  })
+})
+
+test('each kind of parse error has its own code', () => {
+  const codes = (parse, css) => errorsOf(parse, css).map(error => error.code)
+
+  assert.deepEqual(codes(tokenize, 'url(a b)'), ['bad-url'])
+  assert.deepEqual(codes(tokenize, 'a\\\n'), ['invalid-escape'])
+  assert.deepEqual(codes(tokenize, '/* x'), ['eof-in-comment'])
+  assert.deepEqual(codes(tokenize, '"x'), ['eof-in-string'])
+  assert.deepEqual(codes(tokenize, 'url(x'), ['eof-in-url'])
+  assert.deepEqual(codes(parseAStylesheet, 'a'), ['eof-in-rule'])
+  assert.deepEqual(codes(parseAStylesheet, '@a'), ['eof-in-at-rule'])
+  assert.deepEqual(codes(parseAStylesheet, 'a{'), ['eof-in-block'])
+  assert.deepEqual(codes(parseAStylesheet, '@a f('), ['eof-in-function', 'eof-in-at-rule'])
+  assert.deepEqual(codes(parseAListOfDeclarations, 'a b; c:d'), ['missing-colon'])
+  assert.deepEqual(codes(parseAListOfDeclarations, '1px; c:d'), ['invalid-declaration'])
+})
+
+test('parse errors are silent without onError', t => {
+  const log = t.mock.method(console, 'log', () => {})
+  const warn = t.mock.method(console, 'warn', () => {})
+  const stylesheet = parseAStylesheet('a{b:"c\n} url(a b) @x')
+
+  assert.equal(stylesheet.type, 'STYLESHEET')
+  assert.equal(log.mock.calls.length, 0)
+  assert.equal(warn.mock.calls.length, 0)
+})
@@ -0,0 +1,82 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  atRule,
+  rule,
+  decl,
+  dimension,
+  delim,
+  ident,
+  number,
+  percentage,
+  InvalidCharacterError,
+  parseAComponentValue,
+  parseADeclaration
+} from '../index.js'
+
+test('factories build nodes that are written out as parsed', () => {
+  const media = atRule('media', 'print', [
+    rule('.a', [
+      decl('color', 'red'),
+      decl('width', [dimension(10, 'px')], true)
+    ])
+  ])
+
+  assert.equal(media.toSource(), '@media print{.a{color:red;width:10px!important}}')
+})
+
+test('the name of a declaration is escaped', () => {
+  const node = decl('a b', 'c')
+
+  assert.equal(node.toSource(), 'a\\ b:c')
+  assert.equal(parseADeclaration(node.toSource()).name, 'a b')
+})
+
+test('a declaration value that would end it early is rejected', () => {
+  for (const value of ['a;b', 'a}b', 'a !important;b', 'a ! important b', [delim('!'), ident('important')]]) {
+    assert.throws(() => decl('x', value), SyntaxError)
+  }
+
+  assert.equal(decl('x', 'a !important').important, true)
+})
+
+test('a rule or at-rule that would be read back as other rules is rejected', () => {
+  assert.throws(() => rule('.a', 'x:y}b{z:w'), SyntaxError)
+  assert.throws(() => rule('.a {', 'x:y'), SyntaxError)
+  assert.throws(() => rule('.a;', 'x:y'), SyntaxError)
+  assert.throws(() => atRule('media', 'print{', []), SyntaxError)
+
+  assert.equal(rule('.a', 'x:{y}').toSource(), '.a{x:{y}}')
+  assert.equal(rule('[a="{"]', 'x:"}"').toSource(), '[a="{"]{x:"}"}')
+})
+
+test('tokens are checked for what they can be written out as', () => {
+  assert.throws(() => delim('ab'), SyntaxError)
+  assert.equal(delim('😀').toSource(), '😀')
+
+  for (const value of [NaN, Infinity, -Infinity]) {
+    assert.throws(() => number(value), RangeError)
+    assert.throws(() => percentage(value), RangeError)
+    assert.throws(() => dimension(value, 'px'), RangeError)
+  }
+
+  for (const unit of ['e3', 'E-1', 'e']) {
+    const token = parseAComponentValue(dimension(10, unit).toSource())
+
+    assert.equal(token.value, 10)
+    assert.equal(token.unit, unit)
+  }
+})
+
+test('an invalid character in an identifier throws an InvalidCharacterError', () => {
+  const error = new InvalidCharacterError('x')
+
+  assert.ok(error instanceof InvalidCharacterError)
+  assert.equal(error.name, 'InvalidCharacterError')
+  assert.throws(() => ident('\u0000').toSource(), InvalidCharacterError)
+})
+
+test('an escaped code point outside the basic plane is decoded', () => {
+  assert.equal(parseAComponentValue('\\1F600').value, '😀')
+})
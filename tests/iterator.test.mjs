@@ -0,0 +1,33 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {tokenize, tokenizeIterator, parseAStylesheet} from '../index.js'
+
+test('the iterator produces the same tokens as tokenize()', () => {
+  const css = '@import url(a.css); a { color: red /* x */ } "b\n'
+
+  assert.deepEqual(
+    [...tokenizeIterator(css, {comments: true})].map(token => token.toJSON()),
+    tokenize(css, {comments: true}).map(token => token.toJSON())
+  )
+})
+
+test('the input is only read as tokens are asked for', () => {
+  const errors = []
+  const iterator = tokenizeIterator('a b "c\n', {onError: error => errors.push(error)})
+
+  assert.equal(iterator.next().value.value, 'a')
+  assert.equal(errors.length, 0)
+
+  for (const token of iterator) {
+    token.toSource()
+  }
+
+  assert.deepEqual(errors.map(error => error.code), ['bad-string'])
+})
+
+test('the parser takes tokens from the iterator', () => {
+  const css = 'a { color: red }'
+
+  assert.equal(parseAStylesheet(tokenizeIterator(css)).toSource(), parseAStylesheet(css).toSource())
+})
@@ -0,0 +1,42 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  fromJSON,
+  parseAStylesheet,
+  Stylesheet,
+  QualifiedRule,
+  AtRule,
+  Declaration,
+  SimpleBlock,
+  Func,
+  DimensionToken,
+  IdentToken
+} from '../index.js'
+
+test('JSON is turned back into tokens and nodes of the right classes', () => {
+  const css = '@media print { a { width: calc(1px + 2e3%) !important } }'
+  const json = JSON.stringify(parseAStylesheet(css))
+  const stylesheet = fromJSON(json)
+  const [media] = stylesheet.value
+  const [ident] = media.prelude.filter(value => value instanceof IdentToken)
+
+  assert.ok(stylesheet instanceof Stylesheet)
+  assert.ok(media instanceof AtRule)
+  assert.ok(media.value instanceof SimpleBlock)
+  assert.ok(ident instanceof IdentToken)
+  assert.equal(stylesheet.toSource(), parseAStylesheet(css).toSource())
+  assert.equal(JSON.stringify(stylesheet), json)
+})
+
+test('the object parsed from the JSON can be given too', () => {
+  const rule = fromJSON(JSON.parse(JSON.stringify(parseAStylesheet('a { b: f(1px) }').value[0])))
+  const [decl] = rule.value.value
+  const func = decl.value.find(value => value instanceof Func)
+
+  assert.ok(rule instanceof QualifiedRule)
+  assert.ok(decl instanceof Declaration)
+  assert.ok(func.value[0] instanceof DimensionToken)
+  assert.equal(func.value[0].unit, 'px')
+  assert.deepEqual(rule.start, {line: 1, column: 1, offset: 0})
+})
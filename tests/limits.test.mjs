@@ -0,0 +1,60 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {TokenizerError, tokenize, parseAStylesheet, parseAComponentValue, canonicalize} from '../index.js'
+
+test('going over a limit throws a TokenizerError', () => {
+  assert.throws(
+    () => tokenize('a b c', {maxTokens: 4}),
+    error => error instanceof TokenizerError && error.code === 'max-tokens'
+  )
+  assert.throws(
+    () => parseAStylesheet('a{}', {maxInputLength: 2}),
+    error => error instanceof TokenizerError && error.code === 'max-input-length'
+  )
+  assert.equal(tokenize('a b c', {maxTokens: 5}).length, 5)
+})
+
+test('every code point ends up in a token', () => {
+  for (const css of ['\\', '/*', 'url(', '"\\', '#', '-', '+.', 'u+', '<!-', '@', '\u{1F600}\u0000']) {
+    const tokens = tokenize(css)
+
+    assert.ok(tokens.length > 0)
+    assert.equal(tokens[tokens.length - 1].end.offset, css.length)
+  }
+})
+
+test('blocks past maxDepth are kept as flat lists of tokens', () => {
+  const errors = []
+  const block = parseAComponentValue('[[[a]]]', {maxDepth: 1, onError: error => errors.push(error.code)})
+
+  assert.deepEqual(block.value[0].value.map(String), ['[', 'IDENT(a)', ']'])
+  assert.equal(block.toSource(), '[[[a]]]')
+  assert.deepEqual(errors, ['max-depth'])
+})
+
+test('deep nesting does not overflow the call stack', () => {
+  const css = 'a{b:' + '('.repeat(100000) + ')'.repeat(100000) + '}'
+  const errors = []
+
+  assert.equal(parseAStylesheet(css, {onError: error => errors.push(error.code)}).toSource(), css)
+  assert.deepEqual(errors, ['max-depth'])
+})
+
+test('canonicalize() keeps to maxDepth across the blocks it parses again', () => {
+  let rule = canonicalize(parseAStylesheet('@media x{'.repeat(10000)))
+  let depth = 0
+
+  while (rule.rules.length) {
+    rule = rule.rules[0]
+    depth++
+  }
+
+  assert.equal(depth, 255)
+  assert.equal(rule.errors.length, 1)
+  assert.equal(rule.errors[0].type, 'AT-RULE')
+
+  rule = canonicalize(parseAStylesheet('@media x{@media y{a{b:c}}}'), undefined, undefined, {maxDepth: 3})
+  assert.equal(rule.rules[0].rules[0].rules.length, 0)
+  assert.equal(rule.rules[0].rules[0].errors[0].type, 'QUALIFIED-RULE')
+})
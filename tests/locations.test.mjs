@@ -0,0 +1,39 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {tokenize} from '../index.js'
+
+test('every token has the location of the text it was made from', () => {
+  const css = 'a {\n  color: red;\r\n  b: "\u{1F600}" }'
+
+  for (const token of tokenize(css)) {
+    assert.equal(
+      tokenize(css.slice(token.start.offset, token.end.offset))[0].toSource(),
+      token.toSource()
+    )
+  }
+
+  const [ident] = tokenize('color')
+
+  assert.deepEqual(ident.start, {line: 1, column: 1, offset: 0})
+  assert.deepEqual(ident.end, {line: 1, column: 6, offset: 5})
+})
+
+test('lines start after any newline and columns count code points', () => {
+  const tokens = tokenize('a\nb\r\nc\fd\re "\u{1F600}" f')
+  const at = value => tokens.find(token => token.value === value).start
+
+  assert.deepEqual(at('b'), {line: 2, column: 1, offset: 2})
+  assert.deepEqual(at('c'), {line: 3, column: 1, offset: 5})
+  assert.deepEqual(at('d'), {line: 4, column: 1, offset: 7})
+  assert.deepEqual(at('e'), {line: 5, column: 1, offset: 9})
+  assert.deepEqual(at('f'), {line: 5, column: 7, offset: 16})
+})
+
+test('locations are part of the JSON of a token', () => {
+  const [token] = tokenize('  a')
+  const json = JSON.parse(JSON.stringify(token))
+
+  assert.deepEqual(json.start, {line: 1, column: 1, offset: 0})
+  assert.deepEqual(tokenize('  a')[1].toJSON().end, {line: 1, column: 4, offset: 3})
+})
@@ -0,0 +1,63 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  parseAStylesheet,
+  parseAListOfRules,
+  parseAListOfDeclarations,
+  parseABlocksContents,
+  fromJSON
+} from '../index.js'
+
+const sourceOf = list =>
+  [...list, ...list.trailing]
+    .map(item => item.toSource())
+    .join('')
+
+test('a stylesheet round-trips in the lossless mode', () => {
+  for (const css of [
+    '@media screen{\n  a { width: 010px !IMPORTANT }\n}\n',
+    ' /* a */ a{b:c;;d : e}  ;@x y; }',
+    'a { b { c: d } & > e {} }',
+    'a{b:c',
+    '',
+    '  '
+  ]) {
+    assert.equal(parseAStylesheet(css, {lossless: true}).toSource(), css)
+  }
+})
+
+test('lists without items keep their trivia as trailing', () => {
+  for (const parse of [parseAListOfRules, parseAListOfDeclarations, parseABlocksContents]) {
+    for (const css of [' ', ' /* x */ ', 'a:b; ', ' a{} /* y */ ']) {
+      assert.equal(sourceOf(parse(css, {lossless: true})), css)
+    }
+
+    assert.deepEqual(parse(' /* x */ ', {comments: true}).trailing.map(String), ['COMMENT( x )'])
+    assert.deepEqual(parse(' ').trailing, [])
+  }
+})
+
+test('blocks without items keep their trivia in raws', () => {
+  const css = 'a{ /* x */ } b{}'
+
+  for (const options of [{}, {comments: true}, {lossless: true}]) {
+    const [a, b] = parseAStylesheet(css, options).value
+
+    assert.deepEqual(a.value.value, [])
+    assert.deepEqual(b.value.value, [])
+  }
+
+  assert.equal(parseAStylesheet(css, {comments: true}).toSource(), 'a{/* x */} b{}')
+  assert.equal(parseAStylesheet(css, {lossless: true}).toSource(), css)
+})
+
+test('a lossless tree survives JSON', () => {
+  for (const css of [
+    'a{b:c}  @import x;\n/* c */ b { c : d !IMPORTANT ; e{} }  ',
+    '@media x{a{ /* y */ }}',
+    'a{b:c'
+  ]) {
+    assert.equal(fromJSON(JSON.stringify(parseAStylesheet(css, {lossless: true}))).toSource(), css)
+  }
+})
@@ -0,0 +1,61 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  parseAStylesheet,
+  createElementAdapter,
+  matches,
+  matchingRules,
+  linkParents
+} from '../index.js'
+
+const item = {tagName: 'li', attributes: {class: 'odd'}, children: ['One']}
+const list = {tagName: 'ul', attributes: {}, children: [item]}
+const adapter = createElementAdapter(list)
+
+const selectorsOf = rules =>
+  rules.map(rule => rule.prelude.map(value => value.toSource()).join('').trim())
+
+test('selectors match elements', () => {
+  assert.equal(matches(item, 'ul > li:first-child', {adapter}), true)
+  assert.equal(matches(list, ':has(> .odd)', {adapter}), true)
+  assert.equal(matches(item, '&.odd', {adapter, parent: 'ul li'}), true)
+  assert.equal(matches(item, 'ol li', {adapter}), false)
+  assert.equal(matches(item, '::before.a', {adapter}), false)
+})
+
+test('rules are found inside conditional at-rules', () => {
+  const stylesheet = parseAStylesheet(`
+    @media print { ul > li {} .even {} }
+    @supports (display: grid) { @container (width > 1px) { .odd {} } }
+    ul { @media screen { > li {} } }
+    @scope (.a) { li {} }
+    @font-face { src: url(a) }
+  `)
+  const rules = matchingRules(stylesheet, item, {adapter})
+
+  assert.deepEqual(selectorsOf(rules), ['ul > li', '.odd', '> li'])
+  assert.ok(rules.every(rule => rule.parent === undefined))
+
+  linkParents(stylesheet)
+
+  assert.deepEqual(rules.map(rule => rule.closest('AT-RULE').name), ['media', 'container', 'media'])
+  assert.deepEqual(selectorsOf(matchingRules(stylesheet, item, {adapter})), ['ul > li', '.odd', '> li'])
+})
+
+test('the tree is gone through from the topmost parent of the element', () => {
+  const child = {tagName: 'li', attributes: {}, children: []}
+  const parent = {tagName: 'ul', attributes: {}, children: [child]}
+
+  child.parent = parent
+
+  assert.deepEqual(selectorsOf(matchingRules(parseAStylesheet('ul li {} ol li {}'), child)), ['ul li'])
+})
+
+test('matching rules leaves the tree as it is', () => {
+  const stylesheet = parseAStylesheet('ul { > li {} }')
+
+  assert.deepEqual(selectorsOf(matchingRules(stylesheet, item, {adapter})), ['> li'])
+  assert.equal(stylesheet.value[0].parent, undefined)
+  assert.equal(stylesheet.value[0].value.value[0].parent, undefined)
+})
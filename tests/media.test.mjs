@@ -0,0 +1,64 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  parseAStylesheet,
+  parseMediaQueryList,
+  serializeMediaQueryList,
+  evaluateMediaQuery,
+  evaluateMediaQueryList
+} from '../index.js'
+
+test('media queries round-trip', () => {
+  for (const query of [
+    'screen',
+    'not print and (color)',
+    'only screen and (min-width: 500px), print',
+    '(400px <= width < 800px)',
+    '(aspect-ratio: 16/9) or (not (hover))'
+  ]) {
+    const list = parseMediaQueryList(query)
+
+    assert.deepEqual(parseMediaQueryList(serializeMediaQueryList(list)), list, query)
+  }
+})
+
+test('media queries are parsed from rules', () => {
+  const [rule] = parseAStylesheet('@media screen and (400px <= width < 800px), print {}').value
+  const [screen, print] = parseMediaQueryList(rule)
+
+  assert.deepEqual(screen.condition.right, {comparison: '<', value: {type: 'dimension', value: 800, unit: 'px'}})
+  assert.equal(print.mediaType, 'print')
+})
+
+test('an invalid media query becomes not all', () => {
+  const errors = []
+
+  assert.equal(
+    serializeMediaQueryList(parseMediaQueryList('SCREEN and (color), (a) and (b) or (c)', {onError: error => errors.push(error)})),
+    'screen and (color), not all'
+  )
+  assert.deepEqual(errors.map(error => error.code), ['invalid-media-query'])
+})
+
+test('media queries are evaluated against an environment', () => {
+  const phone = {width: 375, height: 812, resolution: 3, hover: 'none'}
+
+  assert.equal(evaluateMediaQueryList('screen and (width < 40em)', phone), true)
+  assert.equal(evaluateMediaQueryList('(hover) or (min-resolution: 2dppx)', phone), true)
+  assert.equal(evaluateMediaQueryList('print, (orientation: landscape)', phone), false)
+  assert.equal(evaluateMediaQueryList('(300px < width <= 400px)', phone), true)
+  assert.equal(evaluateMediaQueryList('', phone), true)
+  assert.equal(evaluateMediaQuery(parseMediaQueryList('(monochrome)')[0], phone), null)
+  assert.equal(evaluateMediaQuery(parseMediaQueryList('not (monochrome)')[0], phone), null)
+  assert.equal(evaluateMediaQuery(parseMediaQueryList('(monochrome) and (width > 1000px)')[0], phone), false)
+})
+
+test('a feature that takes a number is false when it is 0', () => {
+  assert.equal(evaluateMediaQueryList('(grid)', {grid: 0}), false)
+  assert.equal(evaluateMediaQueryList('not (grid)', {grid: 0}), true)
+  assert.equal(evaluateMediaQueryList('(grid)', {grid: 1}), true)
+  assert.equal(evaluateMediaQueryList('(grid: 0)', {grid: 0}), true)
+  assert.equal(evaluateMediaQueryList('(color)', {color: 0}), false)
+  assert.equal(evaluateMediaQueryList('(color)', {color: 8}), true)
+})
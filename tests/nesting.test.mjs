@@ -0,0 +1,43 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {parseAListOfRules, parseAStylesheet} from '../index.js'
+
+test('the block of a qualified rule holds declarations and nested rules', () => {
+  const [rule] = parseAListOfRules('.a { color: red; &:hover { color: blue } .b & { } a:hover { } width: 1px }')
+
+  assert.deepEqual(rule.declarations.map(decl => decl.name), ['color', 'width'])
+  assert.deepEqual(rule.rules.map(nested => nested.prelude.map(value => value.toSource()).join('').trim()), ['&:hover', '.b &', 'a:hover'])
+  assert.ok(rule.rules.every(nested => nested.type === 'QUALIFIED-RULE'))
+  assert.equal(rule.rules[0].declarations[0].name, 'color')
+})
+
+test('a group rule nested in a style rule holds declarations and nested rules', () => {
+  const [rule] = parseAListOfRules('.a { @media print { color: red; .c { } @supports (x: y) { .d { } } } }')
+  const [media] = rule.rules
+  const [decl, nested, supports] = media.value.value
+
+  assert.equal(media.type, 'AT-RULE')
+  assert.equal(decl.type, 'DECLARATION')
+  assert.equal(nested.type, 'QUALIFIED-RULE')
+  assert.equal(supports.value.value[0].type, 'QUALIFIED-RULE')
+  assert.equal(rule.toSource(), '.a {@media print {color: red;.c {}@supports (x: y) {.d {}}}}')
+})
+
+test('a group rule elsewhere holds rules', () => {
+  const [media] = parseAStylesheet('@media print { .c { color: red } @layer x { .d { } } }').value
+  const [nested, layer] = media.value.value
+
+  assert.equal(nested.type, 'QUALIFIED-RULE')
+  assert.equal(nested.declarations[0].name, 'color')
+  assert.equal(layer.value.value[0].type, 'QUALIFIED-RULE')
+})
+
+test('other at-rules keep their blocks as component values', () => {
+  const [rule] = parseAListOfRules('.a { @foo { color: red } }')
+  const {value} = parseAStylesheet('@keyframes x { from { } } @font-face { src: url(a) }')
+
+  assert.ok(!rule.rules[0].value.value.some(item => item.type === 'DECLARATION'))
+  assert.ok(!value[0].value.value.some(item => item.type === 'QUALIFIED-RULE'))
+  assert.ok(!value[1].value.value.some(item => item.type === 'DECLARATION'))
+})
@@ -0,0 +1,52 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  parseAStylesheet,
+  parseAComponentValue,
+  parseAListOfDeclarations
+} from '../index.js'
+
+const textOf = (css, node) => css.slice(node.start.offset, node.end.offset)
+
+test('nodes run from the start of their first token to the end of their last', () => {
+  const css = ' @media print { a { color: red } }\n.b > .c { width: 1px; }'
+  const [media, rule] = parseAStylesheet(css).value
+
+  assert.equal(textOf(css, media), '@media print { a { color: red } }')
+  assert.equal(textOf(css, rule), '.b > .c { width: 1px; }')
+  assert.equal(textOf(css, rule.value), '{ width: 1px; }')
+  assert.deepEqual(rule.start, {line: 2, column: 1, offset: 35})
+})
+
+test('declarations and functions have ranges too', () => {
+  const css = 'width: calc(1px + 2px) !important;'
+  const [decl] = parseAListOfDeclarations(css)
+  const func = decl.value.find(value => value.type === 'FUNCTION')
+
+  assert.equal(textOf(css, decl), 'width: calc(1px + 2px) !important')
+  assert.equal(textOf(css, func), 'calc(1px + 2px)')
+})
+
+test('a stylesheet covers its rules', () => {
+  const css = '\n a{} b{} \n'
+  const stylesheet = parseAStylesheet(css)
+
+  assert.equal(textOf(css, stylesheet), 'a{} b{}')
+})
+
+test('a declaration ends at the last token of its value', () => {
+  const css = 'color: red ; width : 1px'
+  const [color, width] = parseAListOfDeclarations(css)
+
+  assert.equal(textOf(css, color), 'color: red')
+  assert.equal(textOf(css, width), 'width : 1px')
+})
+
+test('a block or function cut off by the end of the input ends with it', () => {
+  const css = 'f(a, [b'
+  const func = parseAComponentValue(css)
+
+  assert.equal(textOf(css, func), css)
+  assert.equal(textOf(css, func.value[func.value.length - 1]), '[b')
+})
@@ -0,0 +1,57 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {parseSelectorList, serializeSelector} from '../index.js'
+
+test('valid selectors round-trip', () => {
+  for (const selector of [
+    'a > b.c#d[e="f" i]:hover::before',
+    '::before::marker',
+    '::part(x):hover::before',
+    'a:hover::before:hover',
+    '::before::marker:focus-visible',
+    '::placeholder:active',
+    '::slotted(a)::after',
+    ':is(a, b) ~ :has(> c)',
+    'li:nth-child(2n+1 of .a)'
+  ]) {
+    const list = parseSelectorList(selector)
+
+    assert.ok(Array.isArray(list), selector)
+    assert.deepEqual(parseSelectorList(serializeSelector(list)), list)
+  }
+})
+
+test('pseudo-elements are only allowed at the end of a selector', () => {
+  for (const selector of [
+    '::before.a',
+    '::before::after',
+    'a::before b',
+    'a::before:first-child',
+    '::part(x):first-child',
+    'a:before.b'
+  ]) {
+    assert.equal(parseSelectorList(selector).code, 'invalid-selector', selector)
+  }
+
+  assert.equal(parseSelectorList('a::before b').range.end.offset, 9)
+})
+
+test('pseudo-elements are not allowed in the selectors a pseudo-class takes', () => {
+  for (const selector of [
+    ':not(a::before)',
+    ':has(::before)',
+    'li:nth-child(2n of a::before)',
+    ':host(::before)',
+    '::slotted(a::before)'
+  ]) {
+    assert.equal(parseSelectorList(selector).code, 'invalid-selector', selector)
+  }
+
+  // Forgiving lists leave them out
+  const [where] = parseSelectorList(':where(a::before)')[0].compounds[0].selectors
+  const [is] = parseSelectorList(':is(a, b::after)')[0].compounds[0].selectors
+
+  assert.deepEqual(where.selectors, [])
+  assert.equal(serializeSelector(is), ':is(a)')
+})
@@ -0,0 +1,58 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {specificity, parseSelectorList, parseAStylesheet, linkParents} from '../index.js'
+
+test('simple selectors count as ids, classes and types', () => {
+  for (const [selector, expected] of [
+    ['*', [0, 0, 0]],
+    ['li', [0, 0, 1]],
+    ['ul li', [0, 0, 2]],
+    ['ul ol + li', [0, 0, 3]],
+    ['.a', [0, 1, 0]],
+    ['[href]:hover', [0, 2, 0]],
+    ['#a', [1, 0, 0]],
+    ['#a .b > c::before', [1, 1, 2]],
+    ['*|*.a', [0, 1, 0]],
+    ['a:before', [0, 0, 2]]
+  ]) {
+    assert.deepEqual(specificity(selector), [expected], selector)
+  }
+})
+
+test('functional pseudo-classes count as their arguments', () => {
+  for (const [selector, expected] of [
+    [':where(#a, .b)', [0, 0, 0]],
+    [':is(#a, .b)', [1, 0, 0]],
+    [':not(.a, li)', [0, 1, 0]],
+    [':has(> #a)', [1, 0, 0]],
+    ['li:nth-child(2n+1)', [0, 1, 1]],
+    ['li:nth-child(2n+1 of #a, .b)', [1, 1, 1]]
+  ]) {
+    assert.deepEqual(specificity(selector), [expected], selector)
+  }
+})
+
+test('each selector in a list has its own specificity', () => {
+  assert.deepEqual(specificity('#a, .b, c'), [[1, 0, 0], [0, 1, 0], [0, 0, 1]])
+
+  const [complex] = parseSelectorList('#a .b')
+
+  assert.deepEqual(specificity(complex), [1, 1, 0])
+})
+
+test('nested selectors count the most specific parent selector', () => {
+  const sheet = linkParents(parseAStylesheet('#a, .b { .c { } & > li { } @media print { .d { } } }'))
+  const [parent] = sheet.value
+  const [nested, direct, media] = parent.rules
+
+  assert.deepEqual(specificity(parent), [[1, 0, 0], [0, 1, 0]])
+  assert.deepEqual(specificity(nested), [[1, 1, 0]])
+  assert.deepEqual(specificity(direct), [[1, 0, 1]])
+  assert.deepEqual(specificity(media.value.value[0]), [[1, 1, 0]])
+  assert.deepEqual(specificity('& > li', {parent: 'ul.x'}), [[0, 1, 2]])
+})
+
+test('an invalid selector gives a diagnostic', () => {
+  assert.equal(specificity('a::before b').code, 'invalid-selector')
+})
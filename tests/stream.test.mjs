@@ -0,0 +1,80 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {createStylesheetParser, parseAStylesheet} from '../index.js'
+
+const samples = [
+  '@charset "x"; a { color: red } /* c */ @media screen { b { x: 1.5e3px } c{} } d:is(.a, .b) > e { f: url( "x" ) !important; g: "un\\\nterminated }\n@import url(x.css) layer;\r\n<!-- x{} --> 1.5 u+12? \\61 bc { } ;  ; @x',
+  'a{b:c}}; @y (x; z{',
+  'a{b:"x\\"y\\\\"}/* c * / */"s\nt" \'q\' e{f:g} /**/ h{}',
+  '/* unterminated',
+  'a { b: "str',
+  '@media x{a{b:c}'
+]
+
+const parseInChunks = (css, size, options = {}) => {
+  const errors = []
+  const rules = []
+  const parser = createStylesheetParser({
+    ...options,
+    onError: error => errors.push(error),
+    onRule: rule => rules.push(rule)
+  })
+
+  for (let i = 0; i < css.length; i += size) {
+    parser.write(css.slice(i, i + size))
+  }
+
+  return {stylesheet: parser.end(), errors, rules}
+}
+
+test('chunks give the same stylesheet and errors as a whole parse', () => {
+  for (const lossless of [false, true]) {
+    for (const css of samples) {
+      const errors = []
+      const whole = parseAStylesheet(css, {lossless, onError: error => errors.push(error)})
+
+      for (const size of [1, 2, 3, 5, 8, 13]) {
+        const chunked = parseInChunks(css, size, {lossless})
+
+        assert.equal(JSON.stringify(chunked.stylesheet), JSON.stringify(whole), `${size}: ${css}`)
+        assert.deepEqual(chunked.errors, errors)
+        assert.equal(chunked.rules.length, whole.value.length)
+
+        if (lossless) {
+          assert.equal(chunked.stylesheet.toSource(), css)
+        }
+      }
+    }
+  }
+})
+
+test('rules are passed on as soon as they are closed', () => {
+  const sources = []
+  const parser = createStylesheetParser({onRule: rule => sources.push(rule.toSource())})
+
+  parser.write('a {color: li')
+  parser.write('me } b {col')
+  assert.deepEqual(sources, ['a {color: lime }'])
+
+  parser.write('or: red }')
+  assert.deepEqual(sources, ['a {color: lime }', 'b {color: red }'])
+})
+
+test('a rule is passed on in the write that closes it', () => {
+  const sources = []
+  const parser = createStylesheetParser({onRule: rule => sources.push(rule.toSource())})
+
+  for (const css of ['a{color:red}', 'b{width:1px}', 'c{x:#fff}', 'd{y:1e}', 'e{z:1 +}']) {
+    parser.write(css)
+    assert.equal(sources[sources.length - 1], css)
+  }
+})
+
+test('a rule that spans many chunks is parsed once', () => {
+  const css = `@media x{${'a{color:red;background:url(x.png)}'.repeat(2000)}}`
+  const chunked = parseInChunks(css, 1024)
+
+  assert.equal(chunked.stylesheet.value.length, 1)
+  assert.equal(JSON.stringify(chunked.stylesheet), JSON.stringify(parseAStylesheet(css)))
+})
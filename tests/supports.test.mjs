@@ -0,0 +1,40 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  parseSupportsCondition,
+  serializeSupportsCondition,
+  evaluateSupportsCondition
+} from '../index.js'
+
+const target = test =>
+  test.type === 'declaration'
+    ? test.declaration.name !== 'float'
+    : test.type === 'selector' ? true : null
+
+test('supports conditions round-trip', () => {
+  for (const condition of [
+    '(display: grid)',
+    'not (float: left)',
+    '(display: grid) and (not selector(:has(a)))',
+    'font-tech(color-colrv1) or font-format(woff2)'
+  ]) {
+    assert.equal(serializeSupportsCondition(parseSupportsCondition(condition)), condition)
+  }
+
+  assert.equal(parseSupportsCondition('(a: b) and (c: d) or (e: f)').code, 'invalid-supports-condition')
+})
+
+test('supports conditions are evaluated', () => {
+  assert.equal(evaluateSupportsCondition('(display: grid) and (not selector(:has(a)))', target), false)
+  assert.equal(evaluateSupportsCondition('not (float: left)', target), true)
+  assert.equal(evaluateSupportsCondition('font-tech(variations) or (float: left)', target), null)
+  assert.equal(evaluateSupportsCondition('foo(bar) or (display: grid)', target), true)
+  assert.equal(evaluateSupportsCondition('(a: b) and (c: d) or (e: f)', target), false)
+  assert.equal(evaluateSupportsCondition('selector(::before.a)', target), false)
+})
+
+test('@supports selector() is false for an invalid selector', () => {
+  assert.equal(evaluateSupportsCondition('selector(::before.a)', () => true), false)
+  assert.equal(evaluateSupportsCondition('selector(a::before)', () => true), true)
+})
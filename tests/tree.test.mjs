@@ -0,0 +1,103 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  parseAStylesheet,
+  parseAListOfRules,
+  parseADeclaration,
+  parseAComponentValue,
+  linkParents,
+  nodeAtPath,
+  HierarchyRequestError
+} from '../index.js'
+
+test('a path leads back to its node', () => {
+  const css = '.a { color: red; &:hover { top: 0 } }'
+  const stylesheet = linkParents(parseAStylesheet(css))
+  const decl = stylesheet.value[0].value.value[1].value.value[0]
+
+  assert.deepEqual(decl.path(), [0, 'value', 1, 'value', 0])
+  assert.equal(nodeAtPath(stylesheet, decl.path()), decl)
+  assert.equal(nodeAtPath(parseAStylesheet(css), decl.path()).name, 'top')
+})
+
+test('a path starts with the index into a linked list', () => {
+  const rules = linkParents(parseAListOfRules('a{} b{c:d}'))
+  const decl = rules[1].value.value[0]
+
+  assert.deepEqual(decl.path(), [1, 'value', 0])
+  assert.equal(nodeAtPath(rules, decl.path()), decl)
+  assert.deepEqual(rules[0].path(), [0])
+})
+
+test('a declaration in a group rule leads to it', () => {
+  const css = '@media print { .a { color: red } } .b { @supports (x: y) { top: 0 } }'
+  const stylesheet = linkParents(parseAStylesheet(css))
+  const [media, rule] = stylesheet.value
+  const [color] = media.value.value[0].declarations
+  const [top] = rule.rules[0].value.value
+
+  assert.equal(color.closest('AT-RULE'), media)
+  assert.equal(top.closest('AT-RULE'), rule.rules[0])
+  assert.deepEqual(color.path(), [0, 'value', 0, 'value', 0])
+  assert.equal(nodeAtPath(parseAStylesheet(css), top.path()).name, 'top')
+})
+
+test('removing a node keeps the trivia around it', () => {
+  const removeFirst = css => {
+    const stylesheet = linkParents(parseAStylesheet(css, {lossless: true}))
+
+    stylesheet.value[0].value.value[0].remove()
+    return stylesheet.toSource()
+  }
+
+  assert.equal(removeFirst('a{b:c;d:e}'), 'a{d:e}')
+  assert.equal(removeFirst('a {\n  /* x */\n  b: c;\n  d: e;\n}'), 'a {\n  /* x */\n  d: e;\n}')
+  assert.equal(removeFirst('a{ /* x */ b:c}'), 'a{ /* x */}')
+})
+
+test('replacing a node hands its trivia on', () => {
+  const stylesheet = linkParents(parseAStylesheet('a{ b:c; /* x */\n d:e}', {lossless: true}))
+
+  stylesheet.value[0].value.value[0].replaceWith(parseADeclaration('f:g'))
+  assert.equal(stylesheet.toSource(), 'a{ f:g; /* x */\n d:e}')
+})
+
+test('the block of a rule is only replaced by a {}-block', () => {
+  const stylesheet = linkParents(parseAStylesheet('a{b:c} @media x{d{}}', {lossless: true}))
+  const [rule, atRule] = stylesheet.value
+
+  assert.throws(() => rule.value.remove())
+  assert.throws(() => rule.value.replaceWith(parseAComponentValue('[x]')))
+
+  rule.value.replaceWith(parseAComponentValue('{e:f}'))
+  atRule.value.remove()
+  assert.equal(stylesheet.toSource(), 'a{e:f} @media x;')
+})
+
+test('a changed node loses its source range', () => {
+  const stylesheet = linkParents(parseAStylesheet('a{b:c} d{}'))
+  const [a, d] = stylesheet.value
+
+  a.value.value[0].remove()
+  assert.equal(a.start, undefined)
+  assert.equal(stylesheet.end, undefined)
+  assert.equal(d.start.offset, 7)
+})
+
+test('a node can\'t be put inside itself', () => {
+  const [rule] = parseAStylesheet('a{b{c:d}}').value
+  const [inner] = rule.value.value
+
+  assert.throws(() => rule.append(rule), HierarchyRequestError)
+  assert.throws(() => inner.value.value[0].append(rule), HierarchyRequestError)
+  assert.throws(() => linkParents(inner).value.value[0].replaceWith(rule), HierarchyRequestError)
+  assert.equal(rule.toSource(), 'a{b{c:d}}')
+})
+
+test('a node without a parent can\'t be removed or replaced', () => {
+  const [rule] = parseAStylesheet('a{}').value
+
+  assert.throws(() => rule.remove(), /no parent/)
+  assert.throws(() => rule.replaceWith(parseAComponentValue('b')), /no parent/)
+})
@@ -0,0 +1,44 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {parseUnicodeRange, serializeUnicodeRange, parseAListOfDeclarations} from '../index.js'
+
+test('unicode ranges are put back together from their tokens', () => {
+  for (const [input, start, end] of [
+    ['U+0025-00FF', 0x25, 0xff],
+    ['u+4??', 0x400, 0x4ff],
+    ['U+26', 0x26, 0x26],
+    ['U+0-7F', 0, 0x7f],
+    ['u+1e3', 0x1e3, 0x1e3],
+    ['U+1e-3F', 0x1e, 0x3f],
+    ['U+10FFFF', 0x10ffff, 0x10ffff],
+    ['U+?????', 0, 0xfffff]
+  ]) {
+    assert.deepEqual(parseUnicodeRange(input), [{start, end}], input)
+  }
+})
+
+test('the value of a unicode-range declaration is a list of ranges', () => {
+  const [decl] = parseAListOfDeclarations('unicode-range: U+0025-00FF, u+4??')
+
+  assert.deepEqual(parseUnicodeRange(decl.value), [
+    {start: 0x25, end: 0xff},
+    {start: 0x400, end: 0x4ff}
+  ])
+})
+
+test('invalid unicode ranges are parse errors', () => {
+  for (const input of ['U+110000', 'U+??????', 'U+5-1', 'U+0-110000', 'U+1-', 'u+a-b?', 'U+1???????', 'U+', 'foo', 'U+1, ']) {
+    const errors = []
+    const result = parseUnicodeRange(input, {onError: error => errors.push(error)})
+
+    assert.equal(result.code, 'invalid-urange', input)
+    assert.ok(errors.length > 0, input)
+  }
+})
+
+test('unicode ranges are written out in uppercase hex', () => {
+  assert.equal(serializeUnicodeRange({start: 0x400, end: 0x4ff}), 'U+400-4FF')
+  assert.equal(serializeUnicodeRange([{start: 0x25, end: 0xff}, {start: 0x26, end: 0x26}]), 'U+25-FF, U+26')
+  assert.deepEqual(parseUnicodeRange(serializeUnicodeRange({start: 0x1e, end: 0x3f})), [{start: 0x1e, end: 0x3f}])
+})
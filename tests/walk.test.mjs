@@ -0,0 +1,77 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+
+import {walk, parseAStylesheet, parseAListOfComponentValues} from '../index.js'
+
+test('nodes and tokens are visited in source order', () => {
+  const stylesheet = parseAStylesheet('a { width: calc(1px + 2%) } @font-face { src: url(x) }')
+  const seen = []
+  const record = node => { seen.push(node.tokenType || node.type) }
+
+  walk(stylesheet, {
+    STYLESHEET: record,
+    'QUALIFIED-RULE': record,
+    'AT-RULE': record,
+    DECLARATION: record,
+    FUNCTION: record,
+    DIMENSION: record,
+    PERCENTAGE: record,
+    URL: record
+  })
+
+  assert.deepEqual(seen, ['STYLESHEET', 'QUALIFIED-RULE', 'DECLARATION', 'FUNCTION', 'DIMENSION', 'PERCENTAGE', 'AT-RULE', 'URL'])
+})
+
+test('enter and leave are called with the node and its parent', () => {
+  const stylesheet = parseAStylesheet('a { color: red }')
+  const calls = []
+
+  walk(stylesheet, {
+    'QUALIFIED-RULE': {
+      enter: (node, parent) => { calls.push(['enter', node.type, parent.type]) },
+      leave: (node, parent) => { calls.push(['leave', node.type, parent.type]) }
+    },
+    IDENT: (token, parent) => { calls.push(['ident', token.value, parent.type]) }
+  })
+
+  assert.deepEqual(calls, [
+    ['enter', 'QUALIFIED-RULE', 'STYLESHEET'],
+    ['ident', 'a', 'QUALIFIED-RULE'],
+    ['ident', 'red', 'DECLARATION'],
+    ['leave', 'QUALIFIED-RULE', 'STYLESHEET']
+  ])
+})
+
+test('skip leaves out the contents of a node and stop ends the walk', () => {
+  const stylesheet = parseAStylesheet('@font-face { src: url(a) } a { b: url(b) } c { d: url(c) }')
+  const urls = []
+
+  walk(stylesheet, {
+    'AT-RULE': rule => rule.name === 'font-face' ? 'skip' : undefined,
+    URL: token => {
+      urls.push(token.value)
+      return 'stop'
+    }
+  })
+
+  assert.deepEqual(urls, ['b'])
+})
+
+test('a list of values is walked, however deeply it is nested', () => {
+  const values = parseAListOfComponentValues('('.repeat(200) + 'a' + ')'.repeat(200))
+  let idents = 0
+
+  walk(values, {IDENT: () => { idents++ }})
+
+  assert.equal(idents, 1)
+})
+
+test('rules in a group rule nested in a style rule are visited', () => {
+  const selectors = []
+
+  walk(parseAStylesheet('.a { @media print { .c { } } }'), {
+    'QUALIFIED-RULE': rule => { selectors.push(rule.prelude.map(value => value.toSource()).join('').trim()) }
+  })
+
+  assert.deepEqual(selectors, ['.a', '.c'])
+})